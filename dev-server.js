@@ -0,0 +1,354 @@
+/**
+ * Workflow Editor - local dev server (optional)
+ *
+ * Serves the editor and stands in for the outside world when testing
+ * Webhook and Scheduler hubs. No dependencies:
+ *
+ *   node dev-server.js [--port 8080] [--host 127.0.0.1]
+ *
+ * It listens on 127.0.0.1 only, so only programs on this machine can fire
+ * flows. Browsers send an Origin header, and requests from pages served by
+ * anything other than this server are refused. Pass --host 0.0.0.0 to open
+ * it to the network on purpose.
+ *
+ * Then open http://localhost:8080/ and send a webhook to a Webhook card:
+ *
+ *   curl -X POST http://localhost:8080/hooks/<bucketId>/<instanceId> \
+ *        -H 'Content-Type: application/json' -d '{"orderId": 42}'
+ *
+ * Routes:
+ *   GET  /events                       Server-sent events stream the editor listens on
+ *   POST /hooks/:bucketId/:instanceId  Relays { body, headers } to the open editors, which
+ *                                      run the bucket's flow; answers with the run result
+ *   POST /hooks-results/:deliveryId    Where the editor reports that result
+ *   POST /schedules/:editorId          The editor's enabled Scheduler cards; the server keeps
+ *                                      time and sends a "schedule" event when one is due
+ *                                      (both take Content-Type: application/json only)
+ *   GET  /, /style.css, /js/*          The editor's files (nothing else in this directory)
+ *
+ * The card ids are shown in the editor: right-click a Webhook card and pick
+ * "Copy Webhook URL".
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { nextScheduleTimes, lastDueTime } = require('./js/cron.js');
+
+const ROOT = __dirname;
+const portArg = process.argv.indexOf('--port');
+const PORT = Number(portArg > -1 ? process.argv[portArg + 1] : process.env.PORT) || 8080;
+const hostArg = process.argv.indexOf('--host');
+const HOST = (hostArg > -1 ? process.argv[hostArg + 1] : process.env.HOST) || '127.0.0.1';
+// Files outside these are never served (.git, notes, ...)
+const STATIC_FILES = ['/index.html', '/style.css'];
+const STATIC_DIRS = ['/js/'];
+
+// How long a webhook request waits for an editor to report the run
+const RESULT_TIMEOUT_MS = 10000;
+const MAX_BODY_BYTES = 1024 * 1024;
+// Schedule timers are capped so a changed clock is noticed
+const MAX_SCHEDULE_WAIT_MS = 60000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const editors = new Map();           // editorId -> { res, schedules, timer, cursor }
+const pendingDeliveries = new Map(); // deliveryId -> { respond, expected, failures }
+let deliverySeq = 0;
+let editorSeq = 0;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data, null, 2) + '\n');
+}
+
+// A browser page on another origin (a site the user happens to visit) must
+// not be able to fire flows or feed the editor results
+function isForeignOrigin(req) {
+    const origin = req.headers.origin;
+    return origin !== undefined && origin !== `http://${req.headers.host}`;
+}
+
+function isJsonRequest(req) {
+    return /^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '');
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        req.on('data', chunk => {
+            // Past the limit the rest is read and dropped, so the 413 reaches the client
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                tooLarge = true;
+                chunks.length = 0;
+                reject(new Error('Request body is too large.'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// JSON bodies are parsed, anything else is passed on as text
+function parseBody(text, contentType) {
+    if (!text) return {};
+    if (/json/i.test(contentType || '')) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    }
+    return text;
+}
+
+function handleEvents(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const editorId = `editor-${++editorSeq}`;
+    const editor = { res, schedules: [], timer: null, cursor: Date.now() };
+    editors.set(editorId, editor);
+    sendEvent(editor, 'hello', { editorId });
+
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        clearTimeout(editor.timer);
+        editors.delete(editorId);
+    });
+}
+
+function sendEvent(editor, event, data) {
+    editor.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// The next fire time of a schedule after `from`, or null (nothing left, or broken settings)
+function nextFireTime(schedule, from) {
+    try {
+        const [time] = nextScheduleTimes(schedule.settings, from, 1);
+        return time === undefined ? null : time;
+    } catch (e) {
+        return null;
+    }
+}
+
+function planSchedules(editor) {
+    clearTimeout(editor.timer);
+    // Only runDueSchedules moves the cursor; see syncSchedules in js/main.js
+    const now = Date.now();
+    const next = Math.min(...editor.schedules.map(schedule => nextFireTime(schedule, editor.cursor) || Infinity));
+    editor.timer = setTimeout(() => runDueSchedules(editor), Math.min(Math.max(0, next - now), MAX_SCHEDULE_WAIT_MS));
+}
+
+function runDueSchedules(editor) {
+    const now = Date.now();
+    const from = editor.cursor;
+    editor.cursor = now;
+    editor.schedules.forEach(schedule => {
+        let due = null;
+        try {
+            due = lastDueTime(schedule.settings, from, now);
+        } catch (e) {
+            return;
+        }
+        if (due === null) return;
+        sendEvent(editor, 'schedule', { bucketId: schedule.bucketId, instanceId: schedule.instanceId, scheduledFor: due });
+        console.log(`[schedule] "${schedule.label}" -> ${schedule.bucketId}/${schedule.instanceId} for ${new Date(due).toISOString()}`);
+    });
+    planSchedules(editor);
+}
+
+async function handleSchedules(req, res, editorId) {
+    const editor = editors.get(editorId);
+    if (!editor) {
+        sendJson(res, 404, { error: `Unknown editor "${editorId}".` });
+        return;
+    }
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+        if (!isPlainObject(body)) throw new Error('Not an object');
+    } catch (e) {
+        sendJson(res, 400, { error: 'Expected { schedules: [...] }.' });
+        return;
+    }
+    editor.schedules = Array.isArray(body.schedules) ? body.schedules.filter(s => s && s.settings) : [];
+    planSchedules(editor);
+    console.log(`[schedule] ${editorId} has ${editor.schedules.length} enabled schedule(s)`);
+    sendJson(res, 200, {
+        schedules: editor.schedules.map(schedule => ({
+            bucketId: schedule.bucketId,
+            instanceId: schedule.instanceId,
+            next: nextFireTime(schedule, Date.now())
+        }))
+    });
+}
+
+async function handleWebhook(req, res, bucketId, instanceId) {
+    let text;
+    try {
+        text = await readBody(req);
+    } catch (e) {
+        sendJson(res, 413, { error: e.message });
+        return;
+    }
+
+    if (editors.size === 0) {
+        sendJson(res, 503, { error: 'No editor is connected. Open the editor from this server first.' });
+        return;
+    }
+
+    const deliveryId = `${Date.now()}-${++deliverySeq}`;
+    const delivery = {
+        deliveryId,
+        bucketId,
+        instanceId,
+        method: req.method,
+        body: parseBody(text, req.headers['content-type']),
+        headers: req.headers
+    };
+
+    const timer = setTimeout(() => {
+        pendingDeliveries.delete(deliveryId);
+        sendJson(res, 202, { deliveryId, delivered: editors.size, note: 'No editor reported a result in time.' });
+    }, RESULT_TIMEOUT_MS);
+
+    pendingDeliveries.set(deliveryId, {
+        expected: editors.size,
+        failures: [],
+        respond(status, data) {
+            clearTimeout(timer);
+            pendingDeliveries.delete(deliveryId);
+            sendJson(res, status, { deliveryId, ...data });
+        }
+    });
+
+    editors.forEach(editor => sendEvent(editor, 'webhook', delivery));
+    console.log(`[webhook] ${deliveryId} -> ${bucketId}/${instanceId} (${editors.size} editor(s))`);
+}
+
+// Editors answer every delivery; the first successful run wins, otherwise the errors are returned
+async function handleResult(req, res, deliveryId) {
+    let result;
+    try {
+        result = JSON.parse(await readBody(req));
+        if (!isPlainObject(result)) throw new Error('Not an object');
+    } catch (e) {
+        sendJson(res, 400, { error: 'Expected a JSON result.' });
+        return;
+    }
+    sendJson(res, 200, { ok: true });
+
+    const pending = pendingDeliveries.get(deliveryId);
+    if (!pending) return;
+    if (result.ok) {
+        pending.respond(200, { run: result.run });
+        return;
+    }
+    pending.failures.push(result.error || 'Unknown error');
+    if (pending.failures.length >= pending.expected) {
+        pending.respond(404, { error: pending.failures[0], errors: pending.failures });
+    }
+}
+
+function serveStatic(req, res, pathname) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (e) {
+        sendJson(res, 400, { error: 'Bad request path' });
+        return;
+    }
+    const filePath = path.normalize(path.join(ROOT, relative));
+    const served = path.relative(ROOT, filePath).split(path.sep).join('/');
+    const allowed = STATIC_FILES.includes('/' + served) || STATIC_DIRS.some(dir => ('/' + served).startsWith(dir));
+    if (!filePath.startsWith(ROOT + path.sep) || !allowed) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const hook = pathname.match(/^\/hooks\/([^/]+)\/([^/]+)\/?$/);
+    const result = pathname.match(/^\/hooks-results\/([^/]+)$/);
+    const schedules = pathname.match(/^\/schedules\/([^/]+)$/);
+
+    if ((hook || result || schedules) && isForeignOrigin(req)) {
+        sendJson(res, 403, { error: 'Requests from other origins are not accepted.' });
+        return;
+    }
+    if ((result || schedules) && req.method === 'POST' && !isJsonRequest(req)) {
+        sendJson(res, 415, { error: 'Send JSON with Content-Type: application/json.' });
+        return;
+    }
+
+    if (pathname === '/events' && req.method === 'GET') {
+        handleEvents(req, res);
+    } else if (hook) {
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            sendJson(res, 405, { error: 'Send webhooks with POST.' });
+            return;
+        }
+        let bucketId, instanceId;
+        try {
+            bucketId = decodeURIComponent(hook[1]);
+            instanceId = decodeURIComponent(hook[2]);
+        } catch (e) {
+            sendJson(res, 400, { error: 'Bad request path' });
+            return;
+        }
+        handleWebhook(req, res, bucketId, instanceId);
+    } else if (result && req.method === 'POST') {
+        handleResult(req, res, result[1]);
+    } else if (schedules && req.method === 'POST') {
+        handleSchedules(req, res, schedules[1]);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        serveStatic(req, res, pathname);
+    } else {
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, HOST, () => {
+        console.log(`Workflow editor: http://localhost:${PORT}/`);
+        console.log(`Webhooks:        POST http://localhost:${PORT}/hooks/<bucketId>/<instanceId>`);
+    });
+}
+
+module.exports = { server };
@@ -0,0 +1,166 @@
+/**
+ * Workflow Editor - Connector SDK
+ *
+ * Every Web App and Hub in the sidebar is a connector registered here. A
+ * connector lives in its own file under js/connectors/ and calls
+ * registerConnector() when loaded; add a <script> tag for it in index.html
+ * (before js/main.js) and it shows up in the sidebar.
+ *
+ *   registerConnector({
+ *       id: 'app-acme',                 // unique, stored on cards as `connector`
+ *       label: 'Acme',
+ *       nodeType: 'app',                // 'app' | 'hub'
+ *       category: 'Web Apps',           // sidebar folder (defaults from nodeType)
+ *       variables: [
+ *           { id: 'v-acme-order', label: 'New Order', type: 'trigger' },
+ *           { id: 'v-acme-total', label: 'Total', type: 'data', dataType: 'number' }
+ *       ],
+ *       settings: [                     // optional, edited from the card's ⚙ button
+ *           { key: 'region', label: 'Region', type: 'select', options: ['eu', 'us'], default: 'eu' }
+ *       ],
+ *       preview(settings, now) { ... }  // optional
+ *       variablesFor(settings) { ... }  // optional
+ *       execute(ctx, input) { ... }     // optional, see below
+ *   });
+ *
+ * Setting fields: { key, label, type: 'text'|'number'|'boolean'|'select'|'textarea'|'rules'|'mapping',
+ * default?, options? (select), min?/max? (number), operators? (rules), help? }.
+ * A 'rules' field edits a list of { path, operator, value } rows; its
+ * operators are [{ value, label, unary? }] (unary ones take no value).
+ * A 'mapping' field edits a list of { name, template } rows.
+ *
+ * Data variables may declare a dataType (see js/types.js, 'any' when left
+ * out); connections between incompatible types are refused.
+ *
+ * preview(settings, now) describes the settings while they are edited and
+ * returns { title, lines }; throw to show what is wrong with them.
+ *
+ * variablesFor(settings) is for connectors whose variables depend on their
+ * settings (the Transform hub's fields). It returns the card's variables and
+ * is applied whenever the settings are saved; `variables` should equal
+ * variablesFor() of the default settings.
+ *
+ * execute(ctx, input) runs inside the execution engine (js/engine.js). `input`
+ * is null when the card starts a run, otherwise { varId, value } for a value
+ * arriving on one of its variables. The ctx offers:
+ *
+ *   ctx.item, ctx.bucketId, ctx.settings (defaults merged with the card's)
+ *   ctx.payload              payload the run was started with (entry cards)
+ *   ctx.trigger              trigger variable the run was started from, if one was picked
+ *   ctx.emit(varId, value, delayMs?)
+ *   ctx.valueOf(varId)       last value seen on one of the card's variables
+ *   ctx.hasOutgoing(varId)   whether anything is connected to that variable
+ *   ctx.now()                simulated wall-clock time (epoch ms)
+ *   ctx.log(note)
+ *
+ * Connectors without execute behave like plain apps: a trigger publishes
+ * the card's data variables and fires onward (see defaultExecute).
+ */
+
+const CONNECTOR_NODE_TYPES = ['app', 'hub'];
+const CONNECTOR_VARIABLE_TYPES = ['trigger', 'data'];
+const CONNECTOR_SETTING_TYPES = ['text', 'number', 'boolean', 'select', 'textarea', 'rules', 'mapping'];
+
+// id -> connector definition, in registration order
+const connectorRegistry = new Map();
+
+function registerConnector(definition) {
+    const connector = validateConnector(definition);
+    if (connectorRegistry.has(connector.id)) {
+        throw new Error(`Connector "${connector.id}" is already registered.`);
+    }
+    connectorRegistry.set(connector.id, connector);
+    return connector;
+}
+
+function validateConnector(definition) {
+    const fail = (message) => {
+        throw new Error(`Invalid connector${definition && definition.id ? ` "${definition.id}"` : ''}: ${message}`);
+    };
+
+    if (!definition || typeof definition !== 'object') fail('definition must be an object.');
+    if (typeof definition.id !== 'string' || !definition.id) fail('id is required.');
+    if (typeof definition.label !== 'string' || !definition.label) fail('label is required.');
+    if (!CONNECTOR_NODE_TYPES.includes(definition.nodeType)) fail(`nodeType must be one of ${CONNECTOR_NODE_TYPES.join(', ')}.`);
+    if (!Array.isArray(definition.variables)) fail('variables must be an array.');
+    if (definition.execute !== undefined && typeof definition.execute !== 'function') fail('execute must be a function.');
+    if (definition.preview !== undefined && typeof definition.preview !== 'function') fail('preview must be a function.');
+    if (definition.variablesFor !== undefined && typeof definition.variablesFor !== 'function') fail('variablesFor must be a function.');
+
+    const variableIds = new Set();
+    const variables = definition.variables.map(v => {
+        if (!v || typeof v.id !== 'string' || typeof v.label !== 'string') fail('every variable needs an id and a label.');
+        if (!CONNECTOR_VARIABLE_TYPES.includes(v.type)) fail(`variable "${v.id}" must be of type ${CONNECTOR_VARIABLE_TYPES.join(' or ')}.`);
+        if (v.dataType !== undefined && (v.type !== 'data' || !VARIABLE_DATA_TYPES.includes(v.dataType))) {
+            fail(`variable "${v.id}" needs a dataType of ${VARIABLE_DATA_TYPES.join(', ')} (data variables only).`);
+        }
+        if (variableIds.has(v.id)) fail(`variable "${v.id}" is declared twice.`);
+        variableIds.add(v.id);
+        return { ...v };
+    });
+
+    const settings = (definition.settings || []).map(field => {
+        if (!field || typeof field.key !== 'string') fail('every setting needs a key.');
+        if (!CONNECTOR_SETTING_TYPES.includes(field.type)) fail(`setting "${field.key}" has an unknown type.`);
+        if (field.type === 'select' && !Array.isArray(field.options)) fail(`setting "${field.key}" needs options.`);
+        if (field.type === 'rules' && !Array.isArray(field.operators)) fail(`setting "${field.key}" needs operators.`);
+        return { label: field.key, ...field };
+    });
+
+    return Object.freeze({
+        ...definition,
+        category: definition.category || (definition.nodeType === 'hub' ? 'Hubs' : 'Web Apps'),
+        variables,
+        settings
+    });
+}
+
+function getConnector(id) {
+    return connectorRegistry.get(id) || null;
+}
+
+// The connector a card was created from. Cards saved before the SDK only carry
+// the template id, or "<varId>-item" when one variable was dragged from the
+// old sidebar; those are matched by that variable
+function getItemConnector(item) {
+    if (!item) return null;
+    const connector = getConnector(item.connector || item.id);
+    if (connector || item.connector || typeof item.id !== 'string') return connector;
+    const legacy = item.id.match(/^(.+)-item$/);
+    return legacy ? listConnectors().find(c => c.variables.some(v => v.id === legacy[1])) || null : null;
+}
+
+function listConnectors() {
+    return Array.from(connectorRegistry.values());
+}
+
+function defaultConnectorSettings(connector) {
+    const settings = {};
+    connector.settings.forEach(field => {
+        if (field.default !== undefined) settings[field.key] = field.default;
+    });
+    return settings;
+}
+
+// Card settings with the connector's defaults filled in
+function resolveItemSettings(item) {
+    const connector = getItemConnector(item);
+    return {
+        ...(connector ? defaultConnectorSettings(connector) : {}),
+        ...(item.settings || {})
+    };
+}
+
+// Drag payload for the sidebar; dropped as-is into a bucket (see handleCanvasDrop)
+function connectorTemplate(connector, variables = connector.variables) {
+    const template = {
+        type: 'sidebar-item',
+        id: connector.id,
+        connector: connector.id,
+        label: connector.label,
+        nodeType: connector.nodeType,
+        variables: variables.map(v => ({ ...v }))
+    };
+    if (connector.settings.length > 0) template.settings = defaultConnectorSettings(connector);
+    return template;
+}
@@ -0,0 +1,80 @@
+/**
+ * If/Else hub - routes its input to True or False. The condition is built
+ * from rules or written as an expression (js/expression.js) over the input,
+ * which is `$` (or `value`); without one the input itself decides.
+ */
+const CONDITION_OPERATORS = [
+    { value: '==', label: 'equals' },
+    { value: '!=', label: 'does not equal' },
+    { value: '>', label: '>' },
+    { value: '>=', label: '>=' },
+    { value: '<', label: '<' },
+    { value: '<=', label: '<=' },
+    { value: 'contains', label: 'contains' },
+    { value: 'startsWith', label: 'starts with' },
+    { value: 'endsWith', label: 'ends with' },
+    { value: 'matches', label: 'matches regex' },
+    { value: 'exists', label: 'exists', unary: true },
+    { value: 'empty', label: 'is empty', unary: true }
+];
+
+registerConnector({
+    id: 'hub-condition',
+    label: 'If/Else',
+    nodeType: 'hub',
+    variables: [
+        { id: 'v-cond-true', label: 'True', type: 'trigger' },
+        { id: 'v-cond-false', label: 'False', type: 'trigger' },
+        { id: 'v-cond-input', label: 'Input Value', type: 'data', dataType: 'any' }
+    ],
+    settings: [
+        { key: 'mode', label: 'Condition', type: 'select', options: ['rules', 'expression'], default: 'rules' },
+        { key: 'match', label: 'Match', type: 'select', options: ['all', 'any'], default: 'all', help: 'Whether every rule or any one of them has to hold (rules mode).' },
+        { key: 'rules', label: 'Rules', type: 'rules', operators: CONDITION_OPERATORS, default: [], help: 'Paths are JSONPath into the input, e.g. $.order.total. Values are JSON (42, true, "text") or plain text; regexes may be /.../i.' },
+        { key: 'expression', label: 'Expression', type: 'textarea', default: '', help: 'e.g. $.total > 100 && $.email matches /@example\\.com$/ (expression mode).' }
+    ],
+    preview(settings) {
+        const expression = conditionExpression(settings);
+        if (expression) parseExpression(expression);
+        return {
+            title: 'Condition',
+            lines: [expression || 'None: an input that is not empty, 0 or false counts as true.']
+        };
+    },
+    execute(ctx, input) {
+        if (!input || input.varId !== 'v-cond-input') return;
+        const expression = conditionExpression(ctx.settings);
+        const result = expression ? evaluateExpression(expression, { $: input.value, value: input.value }) : input.value;
+        const passed = isTruthyValue(result);
+        ctx.log(`${expression || 'Input'} is ${passed ? 'true' : 'false'}`);
+        ctx.emit(passed ? 'v-cond-true' : 'v-cond-false', input.value);
+    }
+});
+
+// The expression the settings describe, '' when there is none
+function conditionExpression(settings) {
+    if (settings.mode === 'expression') return String(settings.expression || '').trim();
+    const rules = (settings.rules || []).filter(rule => rule && rule.operator);
+    return rules.map(conditionRuleExpression).join(settings.match === 'any' ? ' || ' : ' && ');
+}
+
+function conditionRuleExpression(rule) {
+    const path = String(rule.path || '').trim() || '$';
+    const operator = CONDITION_OPERATORS.find(op => op.value === rule.operator);
+    if (operator && operator.unary) return `${rule.operator}(${path})`;
+    return `${path} ${rule.operator} ${conditionRuleOperand(rule)}`;
+}
+
+// Rule values are JSON when they parse (42, true, "text", [1, 2]), otherwise text
+function conditionRuleOperand(rule) {
+    const text = String(rule.value === undefined ? '' : rule.value).trim();
+    if (rule.operator === 'matches' && /^\/.+\/[gimsuy]*$/.test(text)) return text;
+    try {
+        const parsed = JSON.parse(text);
+        const scalar = (v) => v === null || typeof v !== 'object';
+        if (scalar(parsed) || (Array.isArray(parsed) && parsed.every(scalar))) return JSON.stringify(parsed);
+    } catch (e) {
+        // Plain text
+    }
+    return JSON.stringify(text);
+}
@@ -0,0 +1,22 @@
+/**
+ * Delay hub - holds a value back before passing it on.
+ */
+registerConnector({
+    id: 'hub-delay',
+    label: 'Delay',
+    nodeType: 'hub',
+    variables: [
+        { id: 'v-delay-in', label: 'Start', type: 'trigger' },
+        { id: 'v-delay-out', label: 'End', type: 'trigger' }
+    ],
+    settings: [
+        { key: 'delayMs', label: 'Delay (ms)', type: 'number', min: 0, default: 1000 }
+    ],
+    execute(ctx, input) {
+        if (!input || input.varId !== 'v-delay-in') return;
+        const delay = Number(ctx.settings.delayMs);
+        const ms = isFinite(delay) && delay >= 0 ? delay : 0;
+        ctx.log(`Waiting ${ms} ms`);
+        ctx.emit('v-delay-out', input.value, ms);
+    }
+});
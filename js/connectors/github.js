@@ -0,0 +1,13 @@
+/**
+ * GitHub - repository activity.
+ */
+registerConnector({
+    id: 'app-github',
+    label: 'GitHub',
+    nodeType: 'app',
+    variables: [
+        { id: 'v-gh-push', label: 'Commit Push', type: 'trigger' },
+        { id: 'v-gh-pr', label: 'New PR', type: 'trigger' },
+        { id: 'v-gh-repo', label: 'Repository', type: 'data', dataType: 'string' }
+    ]
+});
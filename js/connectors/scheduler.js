@@ -0,0 +1,44 @@
+/**
+ * Scheduler hub - starts a run at a point in time. The schedule (cron,
+ * interval or one-shot, see js/cron.js) fires the bucket's flow while the
+ * editor is open once "Fire on schedule" is ticked.
+ */
+const SCHEDULER_TIME_ZONES = [
+    'local', 'UTC',
+    'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York', 'America/Sao_Paulo',
+    'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Europe/Moscow', 'Africa/Johannesburg',
+    'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney'
+];
+const SCHEDULE_PREVIEW_COUNT = 5;
+
+registerConnector({
+    id: 'hub-scheduler',
+    label: 'Scheduler',
+    nodeType: 'hub',
+    variables: [
+        { id: 'v-sch-time', label: 'Time Trigger', type: 'trigger' },
+        { id: 'v-sch-date', label: 'Current Date', type: 'data', dataType: 'date' }
+    ],
+    settings: [
+        { key: 'mode', label: 'Schedule', type: 'select', options: ['cron', 'interval', 'once'], default: 'cron' },
+        { key: 'cron', label: 'Cron Expression', type: 'text', default: '0 9 * * 1-5', help: 'minute hour day month weekday, e.g. "*/15 * * * *" or @daily (cron mode).' },
+        { key: 'intervalMinutes', label: 'Every (minutes)', type: 'number', default: 60, min: 1, help: 'Aligned to the clock (interval mode).' },
+        { key: 'runAt', label: 'Run At', type: 'text', default: '', help: 'e.g. 2026-01-31T09:00 (once mode).' },
+        { key: 'timezone', label: 'Time Zone', type: 'select', options: SCHEDULER_TIME_ZONES, default: 'local' },
+        { key: 'enabled', label: 'Fire on schedule', type: 'boolean', default: false, help: 'Runs the flow while the editor is open; the dev server keeps time when connected.' }
+    ],
+    preview(settings, now) {
+        const times = nextScheduleTimes(settings, now, SCHEDULE_PREVIEW_COUNT);
+        return {
+            title: `Next ${SCHEDULE_PREVIEW_COUNT} Fire Times`,
+            lines: times.length > 0 ? times.map(time => formatScheduleTime(time, settings.timezone)) : ['Nothing left to fire.']
+        };
+    },
+    execute(ctx, input) {
+        if (input) return;
+        const firedAt = new Date(ctx.now()).toISOString();
+        const scheduledFor = ctx.payload && ctx.payload.scheduledFor ? ctx.payload.scheduledFor : firedAt;
+        ctx.emit('v-sch-date', firedAt);
+        ctx.emit('v-sch-time', { firedAt, scheduledFor });
+    }
+});
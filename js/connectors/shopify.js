@@ -0,0 +1,14 @@
+/**
+ * Shopify - store orders and customers.
+ */
+registerConnector({
+    id: 'app-shopify',
+    label: 'Shopify',
+    nodeType: 'app',
+    variables: [
+        { id: 'v-shop-new-order', label: 'New Order', type: 'trigger' },
+        { id: 'v-shop-cust-update', label: 'Customer Updated', type: 'trigger' },
+        { id: 'v-shop-prod-id', label: 'Product ID', type: 'data', dataType: 'string' },
+        { id: 'v-shop-total', label: 'Order Total', type: 'data', dataType: 'number' }
+    ]
+});
@@ -0,0 +1,13 @@
+/**
+ * Stripe - payment outcomes.
+ */
+registerConnector({
+    id: 'app-stripe',
+    label: 'Stripe',
+    nodeType: 'app',
+    variables: [
+        { id: 'v-stripe-pay-success', label: 'Payment Success', type: 'trigger' },
+        { id: 'v-stripe-pay-fail', label: 'Payment Failed', type: 'trigger' },
+        { id: 'v-stripe-cust-id', label: 'Customer ID', type: 'data', dataType: 'string' }
+    ]
+});
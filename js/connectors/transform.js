@@ -0,0 +1,97 @@
+/**
+ * Transform hub - reshapes data on its way through. Values arrive on named
+ * inputs; each output field is a template over them (js/expression.js):
+ *
+ *   totalCents = {{order.total * 100}}
+ *   summary    = Order {{order.id}} for {{upper(customer.name)}}
+ *
+ * The card's variables follow the settings: one per input, one per field and
+ * Result, an object holding every field.
+ */
+const TRANSFORM_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TRANSFORM_DEFAULT_SETTINGS = {
+    inputs: 'input',
+    fields: [{ name: 'output', template: '{{input}}' }]
+};
+
+registerConnector({
+    id: 'hub-transform',
+    label: 'Transform',
+    nodeType: 'hub',
+    variables: transformVariables(TRANSFORM_DEFAULT_SETTINGS),
+    settings: [
+        { key: 'inputs', label: 'Inputs', type: 'text', default: TRANSFORM_DEFAULT_SETTINGS.inputs, help: 'Comma separated names, used in the templates (e.g. order, customer).' },
+        { key: 'fields', label: 'Output Fields', type: 'mapping', default: TRANSFORM_DEFAULT_SETTINGS.fields, help: 'Text with {{expressions}}: paths, + - * /, and functions such as upper, fixed, formatDate, json.' }
+    ],
+    variablesFor: transformVariables,
+    preview(settings) {
+        transformVariables(settings);
+        const fields = transformFields(settings);
+        fields.forEach(field => parseTemplate(field.template));
+        return {
+            title: 'Outputs',
+            lines: fields.length > 0 ? fields.map(field => `${field.name} = ${field.template}`) : ['No fields: Result is an empty object.']
+        };
+    },
+    execute(ctx, input) {
+        if (!input) return;
+        const inputs = transformInputs(ctx.settings);
+        if (!inputs.some(name => transformInputId(name) === input.varId)) return;
+
+        const scope = {};
+        inputs.forEach(name => {
+            scope[name] = ctx.valueOf(transformInputId(name));
+        });
+        scope.$ = inputs.length === 1 ? scope[inputs[0]] : { ...scope };
+
+        const result = {};
+        transformFields(ctx.settings).forEach(field => {
+            try {
+                result[field.name] = renderTemplate(field.template, scope, { now: ctx.now() });
+            } catch (e) {
+                throw new Error(`Field "${field.name}": ${e.message}`);
+            }
+        });
+        Object.keys(result).forEach(name => ctx.emit(transformOutputId(name), result[name]));
+        ctx.emit('v-tf-result', result);
+    }
+});
+
+function transformInputs(settings) {
+    return String(settings.inputs || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+function transformFields(settings) {
+    return (settings.fields || []).filter(field => field && field.name);
+}
+
+function transformInputId(name) {
+    return `v-tf-in-${name}`;
+}
+
+function transformOutputId(name) {
+    return `v-tf-out-${name}`;
+}
+
+// Throws when a name cannot be used in templates or is taken twice
+function transformVariables(settings) {
+    const seen = new Set();
+    const check = (name, kind) => {
+        if (!TRANSFORM_NAME_PATTERN.test(name) || EXPRESSION_KEYWORDS.includes(name)) {
+            throw new Error(`Invalid ${kind} name "${name}": use letters, digits and _, not starting with a digit.`);
+        }
+        if (seen.has(`${kind}:${name}`)) throw new Error(`The ${kind} "${name}" is defined twice.`);
+        seen.add(`${kind}:${name}`);
+    };
+
+    const inputs = transformInputs(settings);
+    const fields = transformFields(settings);
+    inputs.forEach(name => check(name, 'input'));
+    fields.forEach(field => check(field.name, 'field'));
+
+    return [
+        ...inputs.map(name => ({ id: transformInputId(name), label: `In: ${name}`, type: 'data', dataType: 'any' })),
+        ...fields.map(field => ({ id: transformOutputId(field.name), label: `Out: ${field.name}`, type: 'data', dataType: 'any' })),
+        { id: 'v-tf-result', label: 'Result', type: 'data', dataType: 'object' }
+    ];
+}
@@ -0,0 +1,20 @@
+/**
+ * Webhook hub - starts a run from an incoming HTTP request. The run payload
+ * is either the request body or { payload, headers }; dev-server.js delivers
+ * the latter for POST /hooks/:bucketId/:instanceId.
+ */
+registerConnector({
+    id: 'hub-webhook',
+    label: 'Webhook',
+    nodeType: 'hub',
+    variables: [
+        { id: 'v-wh-payload', label: 'Payload', type: 'data', dataType: 'any' },
+        { id: 'v-wh-headers', label: 'Headers', type: 'data', dataType: 'object' }
+    ],
+    execute(ctx, input) {
+        if (input) return;
+        const request = ctx.payload || {};
+        ctx.emit('v-wh-payload', request.payload !== undefined ? request.payload : request);
+        ctx.emit('v-wh-headers', request.headers || {});
+    }
+});
@@ -0,0 +1,12 @@
+/**
+ * X (Twitter) - mentions of the connected account.
+ */
+registerConnector({
+    id: 'app-social',
+    label: 'X (Twitter)',
+    nodeType: 'app',
+    variables: [
+        { id: 'v-tw-tweet', label: 'New Mention', type: 'trigger' },
+        { id: 'v-tw-text', label: 'Tweet Text', type: 'data', dataType: 'string' }
+    ]
+});
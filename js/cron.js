@@ -0,0 +1,243 @@
+/**
+ * Workflow Editor - Cron & Schedules
+ *
+ * Date maths for the Scheduler hub, without the DOM so dev-server.js can
+ * require() this file too. Cron expressions have five fields and are read
+ * in a time zone:
+ *
+ *   minute (0-59)  hour (0-23)  day-of-month (1-31)  month (1-12, JAN-DEC)  day-of-week (0-7, SUN-SAT; 0 and 7 are Sunday)
+ *
+ * A field is `*`, a value, a range `a-b` or a list `a,b,...`; any of them can
+ * take a step (`*\/15`, `1-5/2`). When both day fields are restricted a day
+ * matches either one, as in Vixie cron. Shortcuts: @yearly, @monthly,
+ * @weekly, @daily, @hourly.
+ *
+ * A schedule is the Scheduler card's settings:
+ *
+ *   { mode: 'cron', cron, timezone }
+ *   { mode: 'interval', intervalMinutes }       every N minutes, aligned to the clock
+ *   { mode: 'once', runAt: 'YYYY-MM-DDTHH:mm', timezone }
+ *
+ * `timezone` is an IANA name such as "Europe/Berlin", "UTC" or "local".
+ */
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const CRON_SHORTCUTS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Expressions that never match (e.g. "0 0 30 2 *") give up after this long
+const CRON_SEARCH_YEARS = 5;
+const MINUTE_MS = 60 * 1000;
+
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const expanded = CRON_SHORTCUTS[text.toLowerCase()] || text;
+    const fields = expanded.split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`A cron expression needs 5 fields (minute hour day month weekday), got ${text ? fields.length : 0}.`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+    if (weekdays.has(7)) {
+        weekdays.delete(7);
+        weekdays.add(0);
+    }
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        daysRestricted: !fields[2].startsWith('*'),
+        weekdaysRestricted: !fields[4].startsWith('*')
+    };
+}
+
+function parseCronField(text, field) {
+    const values = new Set();
+    const parseValue = (value) => {
+        const upper = value.toUpperCase();
+        if (field.names && field.names.includes(upper)) {
+            return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+        }
+        const number = /^\d+$/.test(value) ? Number(value) : NaN;
+        if (!(number >= field.min && number <= field.max)) {
+            throw new Error(`"${value}" is not a valid ${field.name} (${field.min}-${field.max}).`);
+        }
+        return number;
+    };
+
+    text.split(',').forEach(part => {
+        const [range, stepText, extra] = part.split('/');
+        if (extra !== undefined || !range) throw new Error(`"${part}" is not a valid ${field.name}.`);
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`"${stepText}" is not a valid step for the ${field.name}.`);
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from);
+            end = parseValue(to);
+        } else {
+            start = parseValue(range);
+            end = stepText === undefined ? start : field.max;
+        }
+        if (start > end) throw new Error(`The ${field.name} range "${range}" runs backwards.`);
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    });
+    return values;
+}
+
+function cronDayMatches(cron, wall) {
+    const day = cron.days.has(wall.getUTCDate());
+    const weekday = cron.weekdays.has(wall.getUTCDay());
+    if (cron.daysRestricted && cron.weekdaysRestricted) return day || weekday;
+    return day && weekday;
+}
+
+// ---- Time zones ----
+
+const zoneFormatters = new Map();
+
+function zoneFormatter(timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone === 'local' ? undefined : timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+        } catch (e) {
+            throw new Error(`Unknown time zone "${timeZone}".`);
+        }
+        zoneFormatters.set(timeZone, formatter);
+    }
+    return zoneFormatters.get(timeZone);
+}
+
+// The wall-clock reading of an instant in a time zone, as a UTC timestamp
+function zonedWallTime(time, timeZone) {
+    const parts = {};
+    zoneFormatter(timeZone).formatToParts(new Date(time)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+}
+
+// The instant a wall-clock time (as a UTC timestamp) happens in a time zone.
+// Times skipped by a DST change land just after it.
+function zonedTimeToUtc(wall, timeZone) {
+    const offsetAt = (time) => zonedWallTime(time, timeZone) - Math.floor(time / 1000) * 1000;
+    const guess = wall - offsetAt(wall);
+    return wall - offsetAt(guess);
+}
+
+// ---- Fire times ----
+
+// The next `count` instants after `from` (epoch ms) matching a cron expression
+function nextCronTimes(expression, from, count, timeZone = 'local') {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const times = [];
+
+    // Walk the zone's wall clock minute by minute, skipping whole months, days and hours that cannot match
+    const wall = new Date(Math.floor(zonedWallTime(from, timeZone) / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+    const limit = wall.getTime() + CRON_SEARCH_YEARS * 366 * 24 * 60 * MINUTE_MS;
+    let last = from;
+
+    while (times.length < count && wall.getTime() <= limit) {
+        if (!cron.months.has(wall.getUTCMonth() + 1)) {
+            wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+            wall.setUTCHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(cron, wall)) {
+            wall.setUTCDate(wall.getUTCDate() + 1);
+            wall.setUTCHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(wall.getUTCHours())) {
+            wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+        } else {
+            if (cron.minutes.has(wall.getUTCMinutes())) {
+                // A wall time repeated by a DST change fires once
+                const time = zonedTimeToUtc(wall.getTime(), timeZone);
+                if (time > last) {
+                    times.push(time);
+                    last = time;
+                }
+            }
+            wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+        }
+    }
+    return times;
+}
+
+// The next `count` fire times of a schedule after `from`; throws when the settings are unusable
+function nextScheduleTimes(schedule, from, count) {
+    const timeZone = schedule.timezone || 'local';
+    zoneFormatter(timeZone);
+
+    if (schedule.mode === 'interval') {
+        const minutes = Number(schedule.intervalMinutes);
+        if (!(minutes >= 1)) throw new Error('The interval must be at least 1 minute.');
+        const step = Math.round(minutes * MINUTE_MS);
+        const first = Math.floor(from / step) * step + step;
+        return Array.from({ length: count }, (_, i) => first + i * step);
+    }
+
+    if (schedule.mode === 'once') {
+        const match = String(schedule.runAt || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/);
+        if (!match) throw new Error('Run At must look like 2026-01-31T09:00.');
+        const [, year, month, day, hour, minute] = match.map(Number);
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        if (month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59) {
+            throw new Error('Run At must look like 2026-01-31T09:00.');
+        }
+        const time = zonedTimeToUtc(Date.UTC(year, month - 1, day, hour, minute), timeZone);
+        return time > from && count > 0 ? [time] : [];
+    }
+
+    return nextCronTimes(schedule.cron, from, count, timeZone);
+}
+
+// The latest fire time in (from, to], or null: a schedule missed several times fires once
+function lastDueTime(schedule, from, to) {
+    let due = null;
+    let [next] = nextScheduleTimes(schedule, from, 1);
+    while (next !== undefined && next <= to) {
+        due = next;
+        [next] = nextScheduleTimes(schedule, next, 1);
+    }
+    return due;
+}
+
+// "Mon, Oct 19, 2026, 09:00 GMT+2"
+function formatScheduleTime(time, timeZone = 'local') {
+    return new Date(time).toLocaleString('en-US', {
+        timeZone: timeZone === 'local' ? undefined : timeZone,
+        weekday: 'short', year: 'numeric', month: 'short', day: 'numeric',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+        timeZoneName: 'short'
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseCron, nextCronTimes, nextScheduleTimes, lastDueTime, formatScheduleTime };
+}
@@ -0,0 +1,344 @@
+/**
+ * Workflow Editor - Document Format & Migrations
+ *
+ * Everything the editor persists (localStorage) or exports (JSON files) is a
+ * "workflow document":
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     buckets: [{
+ *         id, label, x, y, color?,
+ *         runs?: [{ id, startedAt, duration, status, trigger, hops, errors }],  // newest last
+ *         items: [{ instanceId, id, label, nodeType, x?, y?, variables: [{ id, label, type, dataType?, samples? }] }]
+ *     }],
+ *     connections: [{ id, sourceId, targetId, points?, routing? }],  // endpoints: "bucketId:instanceId:varId"
+ *     customTemplates: [{ id, label, nodeType, variables }],
+ *     settings?: { routing? },                             // routing: see js/routing.js
+ *     revision?                                            // bumped on every save
+ *   }
+ *
+ * Export files wrap a document:
+ *   { type: 'workflow-export', exportedAt, workflow: <document>, summary, dependencies? }
+ * where the global export's `dependencies` lists the connections between
+ * buckets, grouped by bucket pair.
+ *
+ * Version history:
+ *   0 - Untyped { buckets, connections, customTemplates? } blob written before
+ *       versioning (the modular js/state.js never wrote customTemplates).
+ *   1 - Adds schemaVersion. customTemplates and item.variables are always arrays.
+ *
+ * Changing the format: bump WORKFLOW_SCHEMA_VERSION and append a migration to
+ * WORKFLOW_MIGRATIONS that upgrades a document from the previous version.
+ * Migrations are pure and keep fields they don't know about.
+ */
+
+const WORKFLOW_SCHEMA_VERSION = 1;
+
+// WORKFLOW_MIGRATIONS[n] upgrades a version n document to version n + 1
+const WORKFLOW_MIGRATIONS = [
+    // 0 -> 1
+    // Malformed entries are passed through untouched for the caller to reject
+    (doc) => ({
+        ...doc,
+        schemaVersion: 1,
+        buckets: Array.isArray(doc.buckets) ? doc.buckets.map(bucket => {
+            if (!bucket || !Array.isArray(bucket.items)) return bucket;
+            return {
+                ...bucket,
+                items: bucket.items.map(item => (item && !item.variables) ? { ...item, variables: [] } : item)
+            };
+        }) : (doc.buckets || []),
+        connections: doc.connections || [],
+        customTemplates: doc.customTemplates || []
+    })
+];
+
+function createEmptyWorkflowDocument() {
+    return {
+        schemaVersion: WORKFLOW_SCHEMA_VERSION,
+        buckets: [],
+        connections: [],
+        customTemplates: []
+    };
+}
+
+// Accepts an export envelope or a bare document and returns the document
+function unwrapWorkflowDocument(data) {
+    if (data && typeof data === 'object' && !Array.isArray(data) && data.type === 'workflow-export') {
+        return data.workflow;
+    }
+    return data;
+}
+
+function migrateWorkflowDocument(data) {
+    let doc = unwrapWorkflowDocument(data);
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new Error("The data is not a workflow document.");
+    }
+
+    let version = doc.schemaVersion === undefined ? 0 : doc.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`Unknown workflow schema version "${doc.schemaVersion}".`);
+    }
+    if (version > WORKFLOW_SCHEMA_VERSION) {
+        throw new Error(`This workflow was saved by a newer version of the editor (schema ${version}).`);
+    }
+
+    while (version < WORKFLOW_SCHEMA_VERSION) {
+        doc = WORKFLOW_MIGRATIONS[version](doc);
+        version++;
+    }
+    return doc;
+}
+
+// Startup integrity check for a migrated document. Drops what cannot be used,
+// fills in what can be defaulted and reports every change it made:
+//   { doc, problems: [string] }
+function repairWorkflowDocument(source) {
+    const problems = [];
+    const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+    const isFiniteNumber = (v) => typeof v === 'number' && isFinite(v);
+
+    if (!Array.isArray(source.buckets)) {
+        problems.push("The bucket list was unreadable and has been reset.");
+    }
+    if (!Array.isArray(source.connections)) {
+        problems.push("The connection list was unreadable and has been reset.");
+    }
+
+    // Instance IDs only have to be unique within their bucket. A renamed
+    // duplicate is remembered under its old "bucketId:instanceId" key
+    const renamed = new Map();
+    let repairSeq = 0;
+
+    const buckets = (Array.isArray(source.buckets) ? source.buckets : []).filter((bucket, bIndex) => {
+        if (!isObject(bucket) || typeof bucket.id !== 'string') {
+            problems.push(`Removed bucket #${bIndex + 1}: it has no ID.`);
+            return false;
+        }
+        return true;
+    }).map((bucket, bIndex) => {
+        const name = bucket.label || bucket.id;
+        const repaired = { ...bucket };
+
+        if (!isFiniteNumber(repaired.x) || !isFiniteNumber(repaired.y)) {
+            repaired.x = isFiniteNumber(repaired.x) ? repaired.x : 50 + bIndex * 40;
+            repaired.y = isFiniteNumber(repaired.y) ? repaired.y : 50 + bIndex * 40;
+            problems.push(`Bucket "${name}" had no position; it was placed on the canvas.`);
+        }
+
+        if (repaired.runs !== undefined && !Array.isArray(repaired.runs)) {
+            delete repaired.runs;
+            problems.push(`Bucket "${name}" had an unreadable run history; it was cleared.`);
+        }
+
+        if (!Array.isArray(repaired.items)) {
+            if (repaired.items !== undefined) problems.push(`Bucket "${name}" had an unreadable item list; it was emptied.`);
+            repaired.items = [];
+        }
+
+        const usedInstanceIds = new Set();
+        repaired.items = repaired.items.filter((item, iIndex) => {
+            if (!isObject(item)) {
+                problems.push(`Removed item #${iIndex + 1} from bucket "${name}": it is not an object.`);
+                return false;
+            }
+            return true;
+        }).map(item => {
+            const fixed = { ...item };
+            if (typeof fixed.instanceId !== 'string' || usedInstanceIds.has(fixed.instanceId)) {
+                const newId = `item-repaired-${Date.now()}-${repairSeq++}`;
+                if (typeof fixed.instanceId === 'string') {
+                    const key = `${repaired.id}:${fixed.instanceId}`;
+                    renamed.set(key, [...(renamed.get(key) || []), newId]);
+                }
+                fixed.instanceId = newId;
+                problems.push(`Item "${fixed.label || fixed.id}" in bucket "${name}" had a missing or duplicate instance ID.`);
+            }
+            usedInstanceIds.add(fixed.instanceId);
+
+            if (!Array.isArray(fixed.variables)) {
+                fixed.variables = [];
+            } else if (fixed.variables.some(v => !isObject(v) || typeof v.id !== 'string')) {
+                fixed.variables = fixed.variables.filter(v => isObject(v) && typeof v.id === 'string');
+                problems.push(`Removed unreadable variables from "${fixed.label || fixed.id}".`);
+            }
+            return fixed;
+        });
+
+        return repaired;
+    });
+
+    // Endpoints are "bucketId:instanceId:varId"; every part has to exist
+    const endpoints = new Set();
+    buckets.forEach(bucket => bucket.items.forEach(item => item.variables.forEach(v => {
+        endpoints.add(`${bucket.id}:${item.instanceId}:${v.id}`);
+    })));
+
+    // An endpoint on a duplicate stays with the item that kept the ID, unless
+    // only a renamed copy has that variable; then it follows the copy
+    const relink = (endpoint) => {
+        if (endpoints.has(endpoint)) return endpoint;
+        const [bucketId, instanceId, varId] = endpoint.split(':');
+        const newId = (renamed.get(`${bucketId}:${instanceId}`) || []).find(id => endpoints.has(`${bucketId}:${id}:${varId}`));
+        return newId ? `${bucketId}:${newId}:${varId}` : endpoint;
+    };
+
+    const isPoint = (p) => isObject(p) && isFiniteNumber(p.x) && isFiniteNumber(p.y);
+    let dangling = 0;
+
+    const connections = (Array.isArray(source.connections) ? source.connections : []).filter((conn, cIndex) => {
+        if (!isObject(conn) || conn.id === undefined || typeof conn.sourceId !== 'string' || typeof conn.targetId !== 'string') {
+            problems.push(`Removed connection #${cIndex + 1}: it is incomplete.`);
+            return false;
+        }
+        return true;
+    }).map(conn => {
+        const sourceId = relink(conn.sourceId);
+        const targetId = relink(conn.targetId);
+        return sourceId === conn.sourceId && targetId === conn.targetId ? conn : { ...conn, sourceId, targetId };
+    }).filter(conn => {
+        if (!endpoints.has(conn.sourceId) || !endpoints.has(conn.targetId)) {
+            dangling++;
+            return false;
+        }
+        return true;
+    }).map(conn => {
+        if (conn.points !== undefined && (!Array.isArray(conn.points) || !conn.points.every(isPoint))) {
+            const { points, ...rest } = conn;
+            problems.push(`Connection ${conn.id} had invalid waypoints; they were removed.`);
+            return rest;
+        }
+        return conn;
+    });
+
+    if (dangling > 0) {
+        problems.push(`Removed ${dangling} connection(s) pointing at missing items.`);
+    }
+
+    let customTemplates = source.customTemplates;
+    if (!Array.isArray(customTemplates)) {
+        problems.push("The custom template list was unreadable and has been reset.");
+        customTemplates = [];
+    } else if (customTemplates.some(t => !isObject(t) || typeof t.id !== 'string')) {
+        problems.push("Removed unreadable custom templates.");
+        customTemplates = customTemplates.filter(t => isObject(t) && typeof t.id === 'string');
+    }
+
+    return {
+        doc: { ...source, buckets, connections, customTemplates },
+        problems
+    };
+}
+
+// Validates an imported file and returns a clean { buckets, connections, customTemplates, settings }.
+// Accepts the export envelope or a bare document of any known schema version.
+function parseWorkflowImport(data) {
+    if (Array.isArray(data)) {
+        throw new Error("This file only contains an export summary. Re-export it with the current version to import it.");
+    }
+    if (!data || typeof data !== 'object') {
+        throw new Error("The file is not a workflow export.");
+    }
+
+    const workflow = migrateWorkflowDocument(data);
+    if (!Array.isArray(workflow.buckets) || !Array.isArray(workflow.connections)) {
+        throw new Error("The file is missing its buckets or connections.");
+    }
+
+    const isPoint = (p) => p && typeof p.x === 'number' && typeof p.y === 'number';
+
+    workflow.buckets.forEach((bucket, bIndex) => {
+        if (!bucket || typeof bucket.id !== 'string' || !Array.isArray(bucket.items)) {
+            throw new Error(`Bucket #${bIndex + 1} is invalid.`);
+        }
+        // Ids are joined with ':' into connection endpoints
+        if (bucket.id.includes(':')) {
+            throw new Error(`Bucket #${bIndex + 1} has an ID containing ":".`);
+        }
+        const instanceIds = new Set();
+        bucket.items.forEach((item, iIndex) => {
+            if (!item || typeof item.instanceId !== 'string') {
+                throw new Error(`Item #${iIndex + 1} in bucket "${bucket.label || bucket.id}" has no instance ID.`);
+            }
+            if (item.instanceId.includes(':')) {
+                throw new Error(`Item #${iIndex + 1} in bucket "${bucket.label || bucket.id}" has an instance ID containing ":".`);
+            }
+            if (instanceIds.has(item.instanceId)) {
+                throw new Error(`Item #${iIndex + 1} in bucket "${bucket.label || bucket.id}" repeats the instance ID "${item.instanceId}".`);
+            }
+            instanceIds.add(item.instanceId);
+            if (item.variables !== undefined && (!Array.isArray(item.variables) ||
+                item.variables.some(v => !v || typeof v.id !== 'string' || v.id.includes(':')))) {
+                throw new Error(`Item "${item.label || item.instanceId}" has invalid variables.`);
+            }
+        });
+    });
+
+    workflow.connections.forEach((conn, cIndex) => {
+        if (!conn || conn.id === undefined || typeof conn.sourceId !== 'string' || typeof conn.targetId !== 'string') {
+            throw new Error(`Connection #${cIndex + 1} is invalid.`);
+        }
+        if (conn.points !== undefined && (!Array.isArray(conn.points) || !conn.points.every(isPoint))) {
+            throw new Error(`Connection #${cIndex + 1} has invalid points.`);
+        }
+    });
+
+    const customTemplates = Array.isArray(workflow.customTemplates) ? workflow.customTemplates : [];
+    const settings = workflow.settings && typeof workflow.settings === 'object' && !Array.isArray(workflow.settings) ? workflow.settings : {};
+
+    // Deep copy so the parsed file never aliases live state
+    return JSON.parse(JSON.stringify({
+        buckets: workflow.buckets,
+        connections: workflow.connections,
+        customTemplates: customTemplates.filter(t => t && typeof t.id === 'string'),
+        settings
+    }));
+}
+
+// Gives merged buckets/connections fresh IDs where they clash with the `current`
+// document. Items keep their instance IDs, which only need to be unique per bucket
+function remapImportedWorkflow(workflow, current) {
+    const bucketIds = new Set(current.buckets.map(b => b.id));
+    const connIds = new Set(current.connections.map(c => c.id));
+    const bucketIdMap = {};
+    let seq = 0;
+
+    // Imported buckets keep their layout, shifted past the right edge of the current ones
+    const BUCKET_WIDTH = 180;
+    const GAP_X = 50;
+    let shiftX = 0;
+    if (current.buckets.length > 0 && workflow.buckets.length > 0) {
+        const rightEdge = Math.max(...current.buckets.map(b => (b.x || 0) + BUCKET_WIDTH));
+        const importedLeft = Math.min(...workflow.buckets.map(b => b.x || 0));
+        shiftX = rightEdge + GAP_X - importedLeft;
+    }
+
+    const buckets = workflow.buckets.map(bucket => {
+        let id = bucket.id;
+        while (bucketIds.has(id)) id = `bucket-${Date.now()}-${seq++}`;
+        bucketIds.add(id);
+        bucketIdMap[bucket.id] = id;
+        return { ...bucket, id, x: (bucket.x || 0) + shiftX };
+    });
+
+    const remapEndpoint = (endpoint) => {
+        const [bucketId, ...rest] = endpoint.split(':');
+        return bucketIdMap[bucketId] ? [bucketIdMap[bucketId], ...rest].join(':') : endpoint;
+    };
+
+    let nextConnId = Date.now();
+    const connections = workflow.connections.map(conn => {
+        let id = conn.id;
+        while (connIds.has(id)) id = nextConnId++;
+        connIds.add(id);
+        return {
+            ...conn,
+            id,
+            sourceId: remapEndpoint(conn.sourceId),
+            targetId: remapEndpoint(conn.targetId)
+        };
+    });
+
+    return { buckets, connections };
+}
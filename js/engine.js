@@ -0,0 +1,251 @@
+/**
+ * Workflow Editor - Execution Engine
+ *
+ * Interprets a workflow document (see js/document.js) without touching the
+ * DOM. Values travel along connections ("bucketId:instanceId:varId" ->
+ * "bucketId:instanceId:varId") as events on a simulated clock:
+ *
+ *   output  an item emits a value on one of its variables; one input event
+ *           is queued per outgoing connection
+ *   input   a value arrives on a variable; the owning item's handler decides
+ *           what it emits next
+ *
+ * Events run in (time, topological rank of the item, insertion) order, so
+ * upstream items always settle before downstream ones at the same instant;
+ * the ranks come from the connection graph (js/graph.js).
+ * What a card does with a value is up to its connector's execute function
+ * (see js/connectors.js); cards without one use defaultExecute.
+ *
+ * A run starts from the entry items of a bucket: items with outgoing but no
+ * incoming connections. Each processed event appends one entry to the trace:
+ *
+ *   { seq, time, kind: 'output'|'input'|'log'|'error', endpoint, itemId,
+ *     varId, value, connectionId?, depth, note? }
+ *
+ * `time` is simulated milliseconds since the start of the run, `depth` the
+ * number of connections the value has crossed (used to pace the animation).
+ */
+
+const MAX_EXECUTION_STEPS = 1000;
+
+// Behaviour of cards whose connector has no execute (plain apps, custom items):
+// a trigger fires the app, which publishes its data variables;
+// a value arriving on a data variable is relayed unchanged.
+function defaultExecute(ctx, input) {
+    if (!input) {
+        const triggers = ctx.item.variables.filter(v => v.type === 'trigger');
+        const chosen = triggers.filter(v => v.id === ctx.trigger);
+        if (chosen.length > 0) {
+            runApp(ctx, chosen, ctx.payload);
+            return;
+        }
+        const fired = triggers.filter(v => ctx.hasOutgoing(v.id));
+        runApp(ctx, fired.length > 0 ? fired : triggers.slice(0, 1), ctx.payload);
+        return;
+    }
+
+    const variable = ctx.item.variables.find(v => v.id === input.varId);
+    if (variable && variable.type === 'trigger') {
+        runApp(ctx, [variable], input.value);
+    } else {
+        ctx.emit(input.varId, input.value);
+    }
+}
+
+function runApp(ctx, triggers, payload) {
+    ctx.item.variables.forEach(v => {
+        if (v.type === 'trigger') return;
+        const received = ctx.valueOf(v.id);
+        ctx.emit(v.id, received !== undefined ? received : sampleValue(ctx.item, v, payload));
+    });
+    triggers.forEach(v => ctx.emit(v.id, payload === undefined ? {} : payload));
+}
+
+// A data variable's value comes from the payload when it has a matching key
+function sampleValue(item, variable, payload) {
+    if (payload && typeof payload === 'object') {
+        if (payload[variable.id] !== undefined) return payload[variable.id];
+        if (payload[variable.label] !== undefined) return payload[variable.label];
+    }
+    return `${item.label} ${variable.label}`;
+}
+
+function getItemExecute(item) {
+    const connector = getItemConnector(item);
+    return connector && connector.execute ? connector.execute : defaultExecute;
+}
+
+function parseEndpoint(endpoint) {
+    const [bucketId, instanceId, varId] = String(endpoint).split(':');
+    return { bucketId, instanceId, varId };
+}
+
+/**
+ * Prepares a run; nothing happens until step()/runToEnd() are called.
+ *
+ * options:
+ *   buckets, connections   the workflow (not mutated)
+ *   entryBucketId          bucket whose entry items start the run
+ *   entries?               endpoints to start from instead ("bucketId:instanceId")
+ *   payloads?              { "bucketId:instanceId": payload } for entry items
+ *   triggers?              { "bucketId:instanceId": varId } trigger an entry item fires
+ *   startTime?             wall-clock epoch ms the simulated clock starts at
+ */
+function createExecution(options) {
+    const buckets = options.buckets || [];
+    const connections = options.connections || [];
+    const payloads = options.payloads || {};
+    const triggers = options.triggers || {};
+    const startTime = options.startTime !== undefined ? options.startTime : Date.now();
+
+    const items = new Map(); // "bucketId:instanceId" -> { bucketId, item }
+    buckets.forEach(bucket => (bucket.items || []).forEach(item => {
+        items.set(`${bucket.id}:${item.instanceId}`, { bucketId: bucket.id, item });
+    }));
+
+    const itemKey = endpointCard;
+
+    // Connections to cards that are gone take no part
+    const graph = createConnectionGraph(connections.filter(conn =>
+        items.has(itemKey(conn.sourceId)) && items.has(itemKey(conn.targetId))
+    ));
+    const ranks = graph.cardRanks([...items.keys()]);
+
+    const queue = [];
+    const trace = [];
+    const values = new Map(); // endpoint -> last value
+    let seq = 0;
+    let clock = 0;
+    let steps = 0;
+    let stopped = false;
+
+    const enqueue = (event) => {
+        event.seq = seq++;
+        event.rank = ranks.get(event.itemKey) || 0;
+        // Stable insert by (time, rank, seq)
+        let i = queue.length;
+        while (i > 0) {
+            const prev = queue[i - 1];
+            if (prev.time < event.time || (prev.time === event.time && prev.rank <= event.rank)) break;
+            i--;
+        }
+        queue.splice(i, 0, event);
+    };
+
+    const record = (entry) => {
+        const full = { seq: trace.length, time: clock, depth: 0, ...entry };
+        trace.push(full);
+        return full;
+    };
+
+    const contextFor = (key, depth) => {
+        const { bucketId, item } = items.get(key);
+        return {
+            item,
+            bucketId,
+            settings: resolveItemSettings(item),
+            payload: payloads[key],
+            trigger: triggers[key],
+            now: () => startTime + clock,
+            hasOutgoing: (varId) => graph.outgoing(`${key}:${varId}`).length > 0,
+            valueOf: (varId) => values.get(`${key}:${varId}`),
+            emit(varId, value, delayMs = 0) {
+                enqueue({ kind: 'output', time: clock + Math.max(0, delayMs), itemKey: key, endpoint: `${key}:${varId}`, value, depth });
+            },
+            log(note) {
+                record({ kind: 'log', endpoint: key, itemId: item.instanceId, note, depth });
+            }
+        };
+    };
+
+    const invoke = (key, depth, input) => {
+        const execute = getItemExecute(items.get(key).item);
+        try {
+            execute(contextFor(key, depth), input);
+        } catch (e) {
+            record({ kind: 'error', endpoint: key, itemId: items.get(key).item.instanceId, note: e.message, depth });
+        }
+    };
+
+    // Seed the queue with the entry items
+    const entryKeys = options.entries
+        ? options.entries.filter(key => items.has(key))
+        : [...items.keys()].filter(key => {
+            if (options.entryBucketId && items.get(key).bucketId !== options.entryBucketId) return false;
+            return graph.outputsOf(key).size > 0 && graph.inputsOf(key).size === 0;
+        });
+    entryKeys.sort((a, b) => ranks.get(a) - ranks.get(b));
+    entryKeys.forEach(key => enqueue({ kind: 'start', time: 0, itemKey: key, depth: 0 }));
+
+    function dispatch(event) {
+        clock = event.time;
+
+        if (event.kind === 'start') {
+            invoke(event.itemKey, 0, null);
+            return;
+        }
+
+        const { varId } = parseEndpoint(event.endpoint);
+        values.set(event.endpoint, event.value);
+        record({
+            kind: event.kind,
+            endpoint: event.endpoint,
+            itemId: items.get(event.itemKey).item.instanceId,
+            varId,
+            value: event.value,
+            connectionId: event.connectionId,
+            depth: event.depth
+        });
+
+        if (event.kind === 'output') {
+            graph.outgoing(event.endpoint).forEach(conn => {
+                enqueue({
+                    kind: 'input',
+                    time: clock,
+                    itemKey: itemKey(conn.targetId),
+                    endpoint: conn.targetId,
+                    value: event.value,
+                    connectionId: conn.id,
+                    depth: event.depth + 1
+                });
+            });
+        } else {
+            invoke(event.itemKey, event.depth, { varId, value: event.value });
+        }
+    }
+
+    return {
+        trace,
+        values,
+        entries: entryKeys,
+
+        get clock() { return clock; },
+        get done() { return stopped || queue.length === 0; },
+
+        // The event step() will process next, or null
+        peek() {
+            return this.done ? null : queue[0];
+        },
+
+        // Processes one event; returns the trace entries it produced
+        step() {
+            if (this.done) return [];
+            if (++steps > MAX_EXECUTION_STEPS) {
+                stopped = true;
+                return [record({ kind: 'error', note: `Stopped after ${MAX_EXECUTION_STEPS} steps. Is there a loop?` })];
+            }
+            const before = trace.length;
+            dispatch(queue.shift());
+            return trace.slice(before);
+        },
+
+        runToEnd() {
+            while (!this.done) this.step();
+            return trace;
+        },
+
+        stop() {
+            stopped = true;
+        }
+    };
+}
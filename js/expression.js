@@ -0,0 +1,611 @@
+/**
+ * Workflow Editor - Expression Language
+ *
+ * A small, safe expression evaluator for hub settings (the If/Else hub's
+ * condition, the Transform hub's templates). Expressions are parsed into a tree and interpreted; nothing is
+ * handed to eval() or Function(), and property access only reaches a
+ * value's own data, never its prototype.
+ *
+ *   $.order.total >= 100 && not empty($.items)
+ *   $.email matches /@example\.com$/i
+ *   $..sku contains "A-1"  ||  $.status in ["paid", "refunded"]
+ *   length($.items[?(@.price > 10)]) > 0
+ *
+ * Values:     numbers, "strings" or 'strings', true, false, null, [lists],
+ *             /regex/flags (right of `matches`), names from the scope
+ * Paths:      JSONPath into a value: `$` is the input, `.name`, ['name'], [0],
+ *             [-1], [*], ..name (at any depth), [?(filter)] with `@` as the element.
+ *             Missing keys give undefined instead of an error.
+ * Operators:  ?:  ||/or  &&/and  == != matches/=~ contains startsWith endsWith in
+ *             < <= > >=  + - * / %  !/not  (loosest to tightest)
+ * Functions:  see EXPRESSION_FUNCTIONS
+ *
+ * Templates mix text with expressions in {{ }}: "Order {{order.id}}: {{fixed(order.total, 2)}}".
+ * A template that is a single {{ }} keeps the value's type.
+ *
+ * Errors (syntax, a bad regex, arithmetic on text) are thrown as Error with a
+ * message meant for the user.
+ */
+
+// Comparison and containment operators, all on one precedence level
+const EXPRESSION_MATCH_OPERATORS = ['==', '!=', '=~', 'matches', 'contains', 'startsWith', 'endsWith', 'in'];
+const EXPRESSION_KEYWORDS = ['true', 'false', 'null', 'and', 'or', 'not', 'matches', 'contains', 'startsWith', 'endsWith', 'in'];
+const MAX_EXPRESSION_DEPTH = 64;
+const MAX_CACHED_EXPRESSIONS = 200;
+
+// Called with `this` = { now } (epoch ms the evaluation treats as the current time)
+const EXPRESSION_FUNCTIONS = {
+    // Values
+    exists: (value) => value !== undefined && value !== null,
+    empty: (value) => !isTruthyValue(value) && value !== 0 && value !== false,
+    coalesce: (...values) => values.find(value => value !== undefined && value !== null && value !== ''),
+    length: (value) => {
+        if (typeof value === 'string' || Array.isArray(value)) return value.length;
+        if (value && typeof value === 'object') return Object.keys(value).length;
+        return 0;
+    },
+
+    // Text
+    string: (value) => toText(value),
+    lower: (value) => toText(value).toLowerCase(),
+    upper: (value) => toText(value).toUpperCase(),
+    trim: (value) => toText(value).trim(),
+    substring: (value, start, end) => toText(value).slice(toNumber(start), end === undefined ? undefined : toNumber(end)),
+    replace: (value, search, replacement) => toText(value).split(toText(search)).join(toText(replacement)),
+    split: (value, separator) => toText(value).split(separator === undefined ? ',' : toText(separator)),
+    join: (list, separator) => toList(list).map(toText).join(separator === undefined ? ',' : toText(separator)),
+    concat: (...values) => values.map(toText).join(''),
+    padStart: (value, width, fill) => toText(value).padStart(toNumber(width), fill === undefined ? ' ' : toText(fill)),
+
+    // Numbers
+    number: (value) => toNumber(value),
+    round: (value, digits) => {
+        const factor = Math.pow(10, digits === undefined ? 0 : toNumber(digits));
+        return Math.round(toNumber(value) * factor) / factor;
+    },
+    floor: (value) => Math.floor(toNumber(value)),
+    ceil: (value) => Math.ceil(toNumber(value)),
+    abs: (value) => Math.abs(toNumber(value)),
+    min: (...values) => Math.min(...values.flat().map(toNumber)),
+    max: (...values) => Math.max(...values.flat().map(toNumber)),
+    sum: (list) => toList(list).reduce((total, value) => total + toNumber(value), 0),
+    fixed: (value, digits) => toNumber(value).toFixed(digits === undefined ? 2 : toNumber(digits)),
+
+    // Dates (ISO strings in UTC)
+    now() { return new Date(this.now).toISOString(); },
+    date: (value) => toDate(value).toISOString(),
+    timestamp: (value) => toDate(value).getTime(),
+    addDays: (value, days) => new Date(toDate(value).getTime() + toNumber(days) * 86400000).toISOString(),
+    addHours: (value, hours) => new Date(toDate(value).getTime() + toNumber(hours) * 3600000).toISOString(),
+    // Tokens: YYYY MM DD HH mm ss
+    formatDate: (value, pattern) => {
+        const iso = toDate(value).toISOString();
+        const parts = { YYYY: iso.slice(0, 4), MM: iso.slice(5, 7), DD: iso.slice(8, 10), HH: iso.slice(11, 13), mm: iso.slice(14, 16), ss: iso.slice(17, 19) };
+        return toText(pattern === undefined ? 'YYYY-MM-DD' : pattern).replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+    },
+
+    // JSON
+    json: (value) => JSON.stringify(value === undefined ? null : value),
+    parseJson: (value) => {
+        try {
+            return JSON.parse(toText(value));
+        } catch (e) {
+            throw new Error(`${describeExpressionValue(value)} is not valid JSON.`);
+        }
+    },
+    keys: (value) => (value && typeof value === 'object' ? Object.keys(value) : []),
+    values: (value) => childValues(value),
+    pick: (value, ...keys) => {
+        const picked = {};
+        keys.flat().forEach(key => {
+            const found = readProperty(value, toText(key));
+            if (found !== undefined) picked[toText(key)] = found;
+        });
+        return picked;
+    }
+};
+
+// Empty objects and arrays count as false, like an empty payload
+function isTruthyValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return !!value;
+}
+
+function toText(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    throw new Error(`${describeExpressionValue(value)} is not a number.`);
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null) return [];
+    throw new Error(`${describeExpressionValue(value)} is not a list.`);
+}
+
+function toDate(value) {
+    const date = value instanceof Date ? value : new Date(typeof value === 'number' ? value : toText(value));
+    if (isNaN(date.getTime())) throw new Error(`${describeExpressionValue(value)} is not a date.`);
+    return date;
+}
+
+function describeExpressionValue(value) {
+    if (value === undefined) return 'Nothing';
+    const text = JSON.stringify(value);
+    return text.length > 30 ? text.slice(0, 29) + '…' : text;
+}
+
+// ---- Tokenizer ----
+
+function tokenizeExpression(source) {
+    const tokens = [];
+    let pos = 0;
+    const fail = (message) => { throw new Error(`${message} at position ${pos + 1}.`); };
+    const previous = () => tokens[tokens.length - 1];
+
+    while (pos < source.length) {
+        const ch = source[pos];
+        const rest = source.slice(pos);
+
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+
+        const start = pos;
+        const prev = previous();
+        const regexAllowed = prev && (prev.value === '=~' || (prev.type === 'word' && prev.value === 'matches'));
+
+        let match;
+        if (ch === '/' && regexAllowed) {
+            let inClass = false;
+            pos++;
+            while (pos < source.length && (source[pos] !== '/' || inClass)) {
+                if (source[pos] === '\\') pos++;
+                else if (source[pos] === '[') inClass = true;
+                else if (source[pos] === ']') inClass = false;
+                pos++;
+            }
+            if (pos >= source.length) fail('Unterminated regular expression');
+            const pattern = source.slice(start + 1, pos);
+            pos++;
+            const flags = source.slice(pos).match(/^[gimsuy]*/)[0];
+            pos += flags.length;
+            tokens.push({ type: 'regex', value: { pattern, flags }, pos: start });
+        } else if ((match = rest.match(/^\d+(\.\d+)?([eE][+-]?\d+)?/))) {
+            tokens.push({ type: 'number', value: Number(match[0]), pos: start });
+            pos += match[0].length;
+        } else if (ch === '"' || ch === "'") {
+            let value = '';
+            pos++;
+            while (pos < source.length && source[pos] !== ch) {
+                if (source[pos] === '\\') {
+                    pos++;
+                    const escaped = source[pos];
+                    if (escaped === 'u') {
+                        const hex = source.slice(pos + 1, pos + 5);
+                        if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Bad \\u escape');
+                        value += String.fromCharCode(parseInt(hex, 16));
+                        pos += 4;
+                    } else {
+                        value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped || '';
+                    }
+                } else {
+                    value += source[pos];
+                }
+                pos++;
+            }
+            if (pos >= source.length) {
+                pos = start;
+                fail('Unterminated string');
+            }
+            pos++;
+            tokens.push({ type: 'string', value, pos: start });
+        } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/))) {
+            tokens.push({ type: 'word', value: match[0], pos: start });
+            pos += match[0].length;
+        } else if (ch === '$' || ch === '@') {
+            tokens.push({ type: 'root', value: ch, pos: start });
+            pos++;
+        } else if ((match = rest.match(/^(==|!=|<=|>=|&&|\|\||=~|\.\.|[<>!+\-*/%.?:()[\],])/))) {
+            tokens.push({ type: 'op', value: match[0], pos: start });
+            pos += match[0].length;
+        } else {
+            fail(`Unexpected "${ch}"`);
+        }
+    }
+    tokens.push({ type: 'end', value: '', pos: source.length });
+    return tokens;
+}
+
+// ---- Parser ----
+
+function parseExpression(source) {
+    const tokens = tokenizeExpression(String(source));
+    let index = 0;
+    let depth = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const fail = (token, message) => {
+        throw new Error(`${message || (token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${tokenText(token)}"`)} at position ${token.pos + 1}.`);
+    };
+    const isOp = (value) => peek().type === 'op' && peek().value === value;
+    const isWord = (value) => peek().type === 'word' && peek().value === value;
+    const expectOp = (value) => {
+        if (!isOp(value)) fail(peek(), `Expected "${value}"`);
+        return next();
+    };
+
+    const binary = (parseOperand, operators) => () => {
+        let left = parseOperand();
+        while (operators.some(op => (peek().type === 'op' || peek().type === 'word') && peek().value === op)) {
+            const op = next().value;
+            left = { type: 'binary', op, left, right: parseOperand() };
+        }
+        return left;
+    };
+
+    function parseConditional() {
+        if (++depth > MAX_EXPRESSION_DEPTH) fail(peek(), 'Expression is nested too deeply');
+        const test = parseOr();
+        let node = test;
+        if (isOp('?')) {
+            next();
+            const then = parseConditional();
+            expectOp(':');
+            node = { type: 'conditional', test, then, otherwise: parseConditional() };
+        }
+        depth--;
+        return node;
+    }
+
+    const parseUnary = () => {
+        if (!isOp('!') && !isWord('not') && !isOp('-')) return parsePostfix(parsePrimary());
+        if (++depth > MAX_EXPRESSION_DEPTH) fail(peek(), 'Expression is nested too deeply');
+        const type = isOp('-') ? 'negate' : 'not';
+        next();
+        const node = { type, argument: parseUnary() };
+        depth--;
+        return node;
+    };
+    const parseProduct = binary(parseUnary, ['*', '/', '%']);
+    const parseSum = binary(parseProduct, ['+', '-']);
+    const parseCompare = binary(parseSum, ['<', '<=', '>', '>=']);
+    const parseMatch = binary(parseCompare, EXPRESSION_MATCH_OPERATORS);
+    const parseAnd = () => {
+        let left = parseMatch();
+        while (isOp('&&') || isWord('and')) {
+            next();
+            left = { type: 'and', left, right: parseMatch() };
+        }
+        return left;
+    };
+    const parseOr = () => {
+        let left = parseAnd();
+        while (isOp('||') || isWord('or')) {
+            next();
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    };
+
+    function parsePrimary() {
+        const token = next();
+        if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+        if (token.type === 'regex') return { type: 'regex', ...token.value };
+        if (token.type === 'root') return { type: 'root', name: token.value };
+        if (token.type === 'word') {
+            if (token.value === 'true') return { type: 'literal', value: true };
+            if (token.value === 'false') return { type: 'literal', value: false };
+            if (token.value === 'null') return { type: 'literal', value: null };
+            if (EXPRESSION_KEYWORDS.includes(token.value)) fail(token);
+            if (isOp('(')) {
+                next();
+                if (!Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, token.value)) {
+                    fail(token, `Unknown function "${token.value}"`);
+                }
+                const args = [];
+                while (!isOp(')')) {
+                    args.push(parseConditional());
+                    if (!isOp(')')) expectOp(',');
+                }
+                next();
+                return { type: 'call', name: token.value, args };
+            }
+            return { type: 'name', name: token.value };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const inner = parseConditional();
+            expectOp(')');
+            return inner;
+        }
+        if (token.type === 'op' && token.value === '[') {
+            const items = [];
+            while (!isOp(']')) {
+                items.push(parseConditional());
+                if (!isOp(']')) expectOp(',');
+            }
+            next();
+            return { type: 'list', items };
+        }
+        return fail(token);
+    }
+
+    // Path steps after a value: .name  ..name  [expr]  [*]  [?(filter)]
+    function parsePostfix(node) {
+        for (;;) {
+            if (isOp('.') || isOp('..')) {
+                const deep = next().value === '..';
+                const name = next();
+                if (name.type === 'op' && name.value === '*') {
+                    node = deep ? { type: 'descend', object: node, name: null } : { type: 'wildcard', object: node };
+                } else if (name.type === 'word') {
+                    node = deep ? { type: 'descend', object: node, name: name.value } : { type: 'member', object: node, property: { type: 'literal', value: name.value } };
+                } else {
+                    fail(name, `Expected a property name after "${deep ? '..' : '.'}"`);
+                }
+            } else if (isOp('[')) {
+                next();
+                if (isOp('*')) {
+                    next();
+                    node = { type: 'wildcard', object: node };
+                } else if (isOp('?')) {
+                    next();
+                    node = { type: 'filter', object: node, predicate: parseConditional() };
+                } else {
+                    node = { type: 'member', object: node, property: parseConditional() };
+                }
+                expectOp(']');
+            } else {
+                return node;
+            }
+        }
+    }
+
+    const tree = parseConditional();
+    if (peek().type !== 'end') fail(peek());
+    return tree;
+}
+
+function tokenText(token) {
+    if (token.type === 'string') return JSON.stringify(token.value);
+    if (token.type === 'regex') return `/${token.value.pattern}/${token.value.flags}`;
+    return String(token.value);
+}
+
+// ---- Evaluator ----
+
+// Several values picked by one path ([*], .., filters); steps after it apply to each
+class PathMatches {
+    constructor(values) {
+        this.values = values;
+    }
+}
+
+const expressionCache = new Map();
+// Scope key for what functions see as `this`; a symbol so expressions cannot name it
+const CALL_CONTEXT = Symbol('call context');
+
+function cachedExpression(source) {
+    let tree = expressionCache.get(source);
+    if (!tree) {
+        tree = parseExpression(source);
+        if (expressionCache.size >= MAX_CACHED_EXPRESSIONS) expressionCache.clear();
+        expressionCache.set(source, tree);
+    }
+    return tree;
+}
+
+// Evaluates an expression (source text or a parsed tree). `scope` names the
+// values it can use; `$` is the root of paths. options: { now }
+function evaluateExpression(expression, scope = {}, options = {}) {
+    const tree = typeof expression === 'string' ? cachedExpression(expression) : expression;
+    const context = { now: options.now !== undefined ? options.now : Date.now() };
+    return settle(evaluateNode(tree, { ...scope, [CALL_CONTEXT]: context }));
+}
+
+const TEMPLATE_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+
+// The {{ }} expressions of a template, parsed; throws on the first broken one
+function parseTemplate(template) {
+    return Array.from(String(template).matchAll(TEMPLATE_PATTERN), match => {
+        try {
+            return cachedExpression(match[1]);
+        } catch (e) {
+            throw new Error(`{{${match[1]}}}: ${e.message}`);
+        }
+    });
+}
+
+function renderTemplate(template, scope = {}, options = {}) {
+    const text = String(template);
+    const whole = text.match(/^\s*\{\{([\s\S]*?)\}\}\s*$/);
+    if (whole && !whole[1].includes('}}')) return evaluateExpression(whole[1], scope, options);
+    return text.replace(TEMPLATE_PATTERN, (_, source) => toText(evaluateExpression(source, scope, options)));
+}
+
+function settle(value) {
+    return value instanceof PathMatches ? value.values : value;
+}
+
+function readProperty(target, key) {
+    if (target === null || target === undefined) return undefined;
+    if (Array.isArray(target) || typeof target === 'string') {
+        if (key === 'length') return target.length;
+        if (typeof key === 'number' || /^-?\d+$/.test(key)) {
+            let i = Number(key);
+            if (i < 0) i += target.length;
+            return i >= 0 && i < target.length ? target[i] : undefined;
+        }
+        return undefined;
+    }
+    if (typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, key)) return target[key];
+    return undefined;
+}
+
+function childValues(target) {
+    if (Array.isArray(target)) return target;
+    if (target && typeof target === 'object') return Object.values(target);
+    return [];
+}
+
+// Every value below `target` (depth first); with a name, only that property's values
+function descendValues(target, name, found = []) {
+    if (name !== null && target && typeof target === 'object' && !Array.isArray(target)) {
+        const own = readProperty(target, name);
+        if (own !== undefined) found.push(own);
+    }
+    childValues(target).forEach(child => {
+        if (name === null) found.push(child);
+        descendValues(child, name, found);
+    });
+    return found;
+}
+
+// Applies a path step to a value, or to each of several matches
+function pathStep(target, pick) {
+    if (target instanceof PathMatches) {
+        const values = [];
+        target.values.forEach(value => {
+            const picked = pick(value);
+            if (picked instanceof PathMatches) values.push(...picked.values);
+            else if (picked !== undefined) values.push(picked);
+        });
+        return new PathMatches(values);
+    }
+    return pick(target);
+}
+
+function evaluateNode(node, scope) {
+    const value = (child) => settle(evaluateNode(child, scope));
+
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'regex':
+            return compileRegex(node.pattern, node.flags);
+        case 'list':
+            return node.items.map(value);
+        case 'root':
+            return scope[node.name];
+        case 'name':
+            if (!Object.prototype.hasOwnProperty.call(scope, node.name)) throw new Error(`Unknown name "${node.name}".`);
+            return scope[node.name];
+        case 'member': {
+            const key = value(node.property);
+            return pathStep(evaluateNode(node.object, scope), target => readProperty(target, key));
+        }
+        case 'wildcard':
+            return pathStep(evaluateNode(node.object, scope), target => new PathMatches(childValues(target)));
+        case 'descend':
+            return pathStep(evaluateNode(node.object, scope), target => new PathMatches(descendValues(target, node.name)));
+        case 'filter':
+            return pathStep(evaluateNode(node.object, scope), target => new PathMatches(
+                childValues(target).filter(element => isTruthyValue(settle(evaluateNode(node.predicate, { ...scope, '@': element }))))
+            ));
+        case 'call':
+            return EXPRESSION_FUNCTIONS[node.name].apply(scope[CALL_CONTEXT], node.args.map(value));
+        case 'not':
+            return !isTruthyValue(value(node.argument));
+        case 'negate':
+            return -toNumber(value(node.argument));
+        case 'and': {
+            const left = value(node.left);
+            return isTruthyValue(left) ? value(node.right) : left;
+        }
+        case 'or': {
+            const left = value(node.left);
+            return isTruthyValue(left) ? left : value(node.right);
+        }
+        case 'conditional':
+            return isTruthyValue(value(node.test)) ? value(node.then) : value(node.otherwise);
+        case 'binary':
+            return applyOperator(node.op, value(node.left), value(node.right));
+        default:
+            throw new Error(`Cannot evaluate "${node.type}".`);
+    }
+}
+
+function compileRegex(pattern, flags = '') {
+    try {
+        return new RegExp(pattern, flags);
+    } catch (e) {
+        throw new Error(`Invalid regular expression /${pattern}/: ${e.message}`);
+    }
+}
+
+// Numbers and numeric text compare as numbers, everything else by content
+function valuesEqual(a, b) {
+    if (typeof a === 'number' && typeof b === 'string' && b.trim() !== '') return a === Number(b);
+    if (typeof b === 'number' && typeof a === 'string' && a.trim() !== '') return Number(a) === b;
+    if (a && b && typeof a === 'object' && typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return a === b || (a === undefined && b === null) || (a === null && b === undefined);
+}
+
+function compareValues(op, a, b) {
+    const numeric = (v) => typeof v === 'number' || (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v)));
+    let left = a;
+    let right = b;
+    if (numeric(a) && numeric(b) && (typeof a === 'number' || typeof b === 'number')) {
+        left = Number(a);
+        right = Number(b);
+    } else if (typeof a !== typeof b || (typeof a !== 'string' && typeof a !== 'number')) {
+        return false;
+    }
+    if (op === '<') return left < right;
+    if (op === '<=') return left <= right;
+    if (op === '>') return left > right;
+    return left >= right;
+}
+
+function containsValue(container, item) {
+    if (typeof container === 'string') return item !== undefined && item !== null && container.includes(toText(item));
+    if (Array.isArray(container)) return container.some(element => valuesEqual(element, item));
+    if (container && typeof container === 'object') return Object.prototype.hasOwnProperty.call(container, toText(item));
+    return false;
+}
+
+function applyOperator(op, left, right) {
+    switch (op) {
+        case '==': return valuesEqual(left, right);
+        case '!=': return !valuesEqual(left, right);
+        case '<': case '<=': case '>': case '>=':
+            return compareValues(op, left, right);
+        case '=~':
+        case 'matches': {
+            if (left === undefined || left === null) return false;
+            const regex = right instanceof RegExp ? right : compileRegex(toText(right));
+            regex.lastIndex = 0;
+            return regex.test(toText(left));
+        }
+        case 'contains': return containsValue(left, right);
+        case 'in': return containsValue(right, left);
+        case 'startsWith': return typeof left === 'string' && left.startsWith(toText(right));
+        case 'endsWith': return typeof left === 'string' && left.endsWith(toText(right));
+        case '+':
+            if (typeof left === 'string' || typeof right === 'string') return toText(left) + toText(right);
+            return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/':
+        case '%': {
+            const divisor = toNumber(right);
+            if (divisor === 0) throw new Error('Division by zero.');
+            return op === '/' ? toNumber(left) / divisor : toNumber(left) % divisor;
+        }
+        default:
+            throw new Error(`Unknown operator "${op}".`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseExpression, evaluateExpression, parseTemplate, renderTemplate, isTruthyValue, EXPRESSION_FUNCTIONS };
+}
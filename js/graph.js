@@ -0,0 +1,229 @@
+/**
+ * Workflow Editor - Connection Graph
+ *
+ * state.connections is a flat list of { id, sourceId, targetId } pairs between
+ * endpoints ("bucketId:instanceId:varId"). createConnectionGraph() indexes
+ * them once so the engine, validation and export can ask graph questions
+ * without scanning the list again. There are two levels:
+ *
+ *   variables  endpoints, joined by connections
+ *   cards      "bucketId:instanceId", joined when any of their variables are
+ *
+ * Inside a card a value arriving on an input (a variable with incoming
+ * connections) comes out of the card's outputs (variables with outgoing
+ * ones), so upstream() and downstream() follow values through cards too.
+ *
+ * Connections may join cards in different buckets; the graph does not care.
+ * Connections are taken as given: callers drop the ones to missing cards
+ * first when that matters (see createExecution).
+ */
+
+// "bucketId:instanceId:varId" -> "bucketId:instanceId"
+function endpointCard(endpoint) {
+    return String(endpoint).split(':').slice(0, 2).join(':');
+}
+
+function endpointBucket(endpoint) {
+    return String(endpoint).split(':')[0];
+}
+
+// A bucket's connections: `internal` ones stay inside it, `inbound` ones
+// arrive from another bucket and `outbound` ones leave for another bucket
+function partitionBucketConnections(connections, bucketId) {
+    const internal = [];
+    const inbound = [];
+    const outbound = [];
+    connections.forEach(conn => {
+        const fromHere = endpointBucket(conn.sourceId) === bucketId;
+        const toHere = endpointBucket(conn.targetId) === bucketId;
+        if (fromHere && toHere) internal.push(conn);
+        else if (toHere) inbound.push(conn);
+        else if (fromHere) outbound.push(conn);
+    });
+    return { internal, inbound, outbound };
+}
+
+function createConnectionGraph(connections) {
+    const outgoing = new Map(); // endpoint -> [connection]
+    const incoming = new Map();
+    const cardOutputs = new Map(); // card -> Set of endpoints with outgoing connections
+    const cardInputs = new Map();
+    const cardNext = new Map(); // card -> Set of cards it feeds (self-loops excluded)
+    const selfLoops = new Set();
+
+    const listIn = (map, key) => {
+        if (!map.has(key)) map.set(key, []);
+        return map.get(key);
+    };
+    const setIn = (map, key) => {
+        if (!map.has(key)) map.set(key, new Set());
+        return map.get(key);
+    };
+
+    connections.forEach(conn => {
+        const from = endpointCard(conn.sourceId);
+        const to = endpointCard(conn.targetId);
+        listIn(outgoing, conn.sourceId).push(conn);
+        listIn(incoming, conn.targetId).push(conn);
+        setIn(cardOutputs, from).add(conn.sourceId);
+        setIn(cardInputs, to).add(conn.targetId);
+        if (from === to) selfLoops.add(from);
+        else setIn(cardNext, from).add(to);
+    });
+
+    // Every endpoint reachable from `endpoint`: along `edges` (endOf picks the
+    // far end of a connection) and, from the endpoints in `passes`, on to the
+    // card's endpoints in `through`
+    const walk = (endpoint, edges, endOf, passes, through) => {
+        const seen = new Set();
+        const queue = [endpoint];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const next = (edges.get(current) || []).map(endOf);
+            if (passes.has(current)) {
+                (through.get(endpointCard(current)) || new Set()).forEach(e => next.push(e));
+            }
+            next.forEach(e => {
+                if (e === endpoint || seen.has(e)) return;
+                seen.add(e);
+                queue.push(e);
+            });
+        }
+        return seen;
+    };
+
+    // Strongly connected components of the card graph (Tarjan's algorithm),
+    // worked out on first use: { cycles: [[card]], membership: card -> cycle index }
+    let components = null;
+    const cardComponents = () => {
+        if (components) return components;
+
+        const cards = new Set([...cardOutputs.keys(), ...cardInputs.keys()]);
+        const index = new Map();
+        const lowlink = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const cycles = [];
+        let counter = 0;
+
+        const visit = (card) => {
+            index.set(card, counter);
+            lowlink.set(card, counter);
+            counter++;
+            stack.push(card);
+            onStack.add(card);
+
+            (cardNext.get(card) || new Set()).forEach(to => {
+                if (!index.has(to)) {
+                    visit(to);
+                    lowlink.set(card, Math.min(lowlink.get(card), lowlink.get(to)));
+                } else if (onStack.has(to)) {
+                    lowlink.set(card, Math.min(lowlink.get(card), index.get(to)));
+                }
+            });
+
+            if (lowlink.get(card) === index.get(card)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.unshift(member);
+                } while (member !== card);
+                if (component.length > 1 || selfLoops.has(card)) cycles.push(component);
+            }
+        };
+        cards.forEach(card => {
+            if (!index.has(card)) visit(card);
+        });
+
+        const membership = new Map();
+        cycles.forEach((cycle, i) => cycle.forEach(card => membership.set(card, i)));
+        components = { cycles, membership };
+        return components;
+    };
+
+    return {
+        connections,
+
+        outgoing(endpoint) {
+            return outgoing.get(endpoint) || [];
+        },
+
+        incoming(endpoint) {
+            return incoming.get(endpoint) || [];
+        },
+
+        isConnected(endpoint) {
+            return outgoing.has(endpoint) || incoming.has(endpoint);
+        },
+
+        // A card's variables with incoming / outgoing connections
+        inputsOf(card) {
+            return cardInputs.get(card) || new Set();
+        },
+
+        outputsOf(card) {
+            return cardOutputs.get(card) || new Set();
+        },
+
+        // Variables a value leaving `endpoint` can reach
+        downstream(endpoint) {
+            return walk(endpoint, outgoing, conn => conn.targetId, incoming, cardOutputs);
+        },
+
+        // Variables whose values can arrive at `endpoint`
+        upstream(endpoint) {
+            return walk(endpoint, incoming, conn => conn.sourceId, outgoing, cardInputs);
+        },
+
+        // Groups of cards that feed each other ([[card, ...]]); a card wired to itself is one too
+        cycles() {
+            return cardComponents().cycles;
+        },
+
+        // Whether both ends of a connection sit on the same cycle
+        isCycleConnection(conn) {
+            const { membership } = cardComponents();
+            const from = membership.get(endpointCard(conn.sourceId));
+            return from !== undefined && from === membership.get(endpointCard(conn.targetId));
+        },
+
+        // Topological ranks of `cards`: every card ranks after the cards feeding it.
+        // Cards on a cycle share the rank after their other predecessors.
+        cardRanks(cards) {
+            const known = new Set(cards);
+            const indegree = new Map(cards.map(card => [card, 0]));
+            cards.forEach(card => (cardNext.get(card) || new Set()).forEach(to => {
+                if (known.has(to)) indegree.set(to, indegree.get(to) + 1);
+            }));
+
+            const ranks = new Map();
+            let frontier = cards.filter(card => indegree.get(card) === 0);
+            let rank = 0;
+            while (frontier.length > 0) {
+                const following = [];
+                frontier.forEach(card => {
+                    ranks.set(card, rank);
+                    (cardNext.get(card) || new Set()).forEach(to => {
+                        if (!known.has(to)) return;
+                        indegree.set(to, indegree.get(to) - 1);
+                        if (indegree.get(to) === 0) following.push(to);
+                    });
+                });
+                frontier = following;
+                rank++;
+            }
+            cards.forEach(card => {
+                if (!ranks.has(card)) ranks.set(card, rank);
+            });
+            return ranks;
+        },
+
+        // `cards` sorted so that feeding cards come first (stable for equal ranks)
+        topologicalOrder(cards) {
+            const ranks = this.cardRanks(cards);
+            return [...cards].sort((a, b) => ranks.get(a) - ranks.get(b));
+        }
+    };
+}
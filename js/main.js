@@ -17,33 +17,94 @@ function on(event, callback) {
     bus.addEventListener(event, (e) => callback(e.detail));
 }
 
-// Initial State (buckets & connections)
-let storedState = localStorage.getItem('workflowState');
-let loadedData = storedState ? JSON.parse(storedState) : { buckets: [], connections: [] };
+// Named workflows (projects): each one is its own document in the storage
+// backend (js/storage.js); the index remembers which one was open across reloads.
+const PROJECT_INDEX_KEY = 'workflowProjects';
+
+// Broken payloads found while loading, shown to the user once the editor is up
+const pendingRecoveries = [];
+let projectIndexRebuilt = false;
 
+const projectIndex = loadProjectIndex();
+
+// Initial State (buckets & connections)
+// Starts empty and is filled once the storage backend has loaded the current workflow
 const state = {
-    buckets: loadedData.buckets || [],
-    connections: loadedData.connections || [],
-    customTemplates: loadedData.customTemplates || []
+    buckets: [],
+    connections: [],
+    customTemplates: [],
+    settings: {} // Workflow-wide preferences, e.g. { routing: 'orthogonal' }
 };
 
+let storage = null;
+const storageReady = initStorage();
+
+// Autosave: mutations only mark the workflow dirty, writes are batched and flushed on a debounce
+const SAVE_DEBOUNCE_MS = 500;
+let saveTimer = null;
+let saveRevision = 0; // Revision of the last document handed to the backend
+let pendingWrites = 0;
+
+async function initStorage() {
+    try {
+        storage = await openWorkflowStorage();
+        if (projectIndexRebuilt) await adoptStoredProjects();
+        const doc = await loadProjectDocument(projectIndex.currentId);
+        saveRevision = doc.revision || 0;
+        state.buckets = doc.buckets;
+        state.connections = doc.connections;
+        state.customTemplates = doc.customTemplates;
+        state.settings = doc.settings || {};
+        await restoreHistory(projectIndex.currentId, saveRevision);
+    } catch (e) {
+        console.error("Failed to load workflow:", e);
+        storage = storage || createLocalStorageBackend();
+    }
+}
+
 // Mutation helpers
 // History State
+// Entries are patches between consecutive states rather than full snapshots:
+//   { seq, label, time, changes: [{ kind, id, before, after }], order }
+// kind is 'bucket' or 'connection'; before/after hold the record's JSON (null
+// when it did not exist). order holds the id order before/after, only when it
+// changed. historyStack[0] is the oldest reachable state; its changes are
+// never applied.
 let historyStack = [];
 let historyIndex = -1;
-const MAX_HISTORY = 50;
+const MAX_HISTORY = 500;
+// Runs kept per bucket (oldest dropped first)
+const MAX_RUNS_PER_BUCKET = 50;
+const RUN_STATUSES = ['success', 'error', 'stopped'];
+const projectHistories = {}; // projectId -> { stack, index } of workflows switched away from
+let historyRecords = null; // Record JSON of the state at historyIndex, diffed on commit
+let historySeq = 0;
+
+// Open actions.transaction() calls; history is committed once the outermost one ends
+let transactionDepth = 0;
+let transactionChanged = false;
+
+// `extra` is stored on the entry as is (e.g. { settings: { before, after } })
+function commitHistory(label, extra) {
+    if (transactionDepth > 0) {
+        transactionChanged = true;
+        return;
+    }
+    if (!historyRecords) {
+        resetHistory(label);
+        return;
+    }
+
+    const next = captureHistoryRecords();
+    const patch = diffHistoryRecords(historyRecords, next) || (extra ? { changes: [], order: {} } : null);
+    historyRecords = next;
+    if (!patch) return; // Nothing actually changed (e.g. a rename to the same text)
 
-function commitHistory() {
     if (historyIndex < historyStack.length - 1) {
         historyStack = historyStack.slice(0, historyIndex + 1);
     }
     
-    const snapshot = JSON.parse(JSON.stringify({
-        buckets: state.buckets,
-        connections: state.connections
-    }));
-    
-    historyStack.push(snapshot);
+    historyStack.push({ seq: historySeq++, label: label || 'Edit', time: Date.now(), ...extra, ...patch });
     if (historyStack.length > MAX_HISTORY) {
         historyStack.shift();
     } else {
@@ -53,36 +114,200 @@ function commitHistory() {
     emit('history:updated', { index: historyIndex, total: historyStack.length });
 }
 
-setTimeout(() => commitHistory(), 100);
+// Starts a new timeline at the current state
+function resetHistory(label) {
+    historyRecords = captureHistoryRecords();
+    historyStack = [{ seq: historySeq++, label: label || 'Opened workflow', time: Date.now(), changes: [], order: {} }];
+    historyIndex = 0;
+    emit('history:updated', { index: historyIndex, total: historyStack.length });
+}
+
+// Picks up a timeline persisted by the backend if it ends at the loaded document
+async function restoreHistory(projectId, revision) {
+    let saved = null;
+    try {
+        saved = await storage.loadHistory(projectId);
+    } catch (e) {
+        console.warn("Could not load history:", e);
+    }
+
+    if (!saved || saved.revision !== revision || saved.entries.length === 0) {
+        resetHistory('Opened workflow');
+        return;
+    }
+
+    historyStack = saved.entries;
+    historyIndex = Math.min(Math.max(saved.index, 0), historyStack.length - 1);
+    historyRecords = captureHistoryRecords();
+    historySeq = Math.max(historySeq, ...historyStack.map(e => e.seq + 1));
+    emit('history:updated', { index: historyIndex, total: historyStack.length });
+}
+
+// "Order Total → Payload" for history labels
+function describeConnection(conn) {
+    return `${describeEndpoint(conn.sourceId)} → ${describeEndpoint(conn.targetId)}`;
+}
+
+// Endpoints are "bucketId:instanceId:varId"
+function describeEndpoint(endpoint) {
+    const [bucketId, instanceId, varId] = String(endpoint).split(':');
+    const bucket = state.buckets.find(b => b.id === bucketId);
+    const item = bucket && bucket.items.find(i => i.instanceId === instanceId);
+    if (!item) return endpoint;
+    const variable = (item.variables || []).find(v => v.id === varId);
+    return variable ? variable.label || variable.id : item.label || item.id;
+}
+
+// Run history (bucket.runs) is a log, not an edit: undo never touches it.
+// A deleted bucket's runs ride along on its delete change so undo brings them back.
+function bucketHistoryJson(bucket) {
+    const { runs, ...rest } = bucket;
+    return JSON.stringify(rest);
+}
+
+function captureHistoryRecords() {
+    const toJsonMap = (records, toJson = JSON.stringify) => new Map(records.map(r => [r.id, toJson(r)]));
+    return {
+        bucket: toJsonMap(state.buckets, bucketHistoryJson),
+        connection: toJsonMap(state.connections),
+        runs: new Map(state.buckets.filter(b => b.runs).map(b => [b.id, b.runs])),
+        bucketOrder: state.buckets.map(b => b.id),
+        connectionOrder: state.connections.map(c => c.id)
+    };
+}
+
+// Returns { changes, order } or null when both captures are identical
+function diffHistoryRecords(prev, next) {
+    const changes = [];
+    ['bucket', 'connection'].forEach(kind => {
+        next[kind].forEach((json, id) => {
+            const before = prev[kind].has(id) ? prev[kind].get(id) : null;
+            if (before !== json) changes.push({ kind, id, before, after: json });
+        });
+        prev[kind].forEach((json, id) => {
+            if (next[kind].has(id)) return;
+            const change = { kind, id, before: json, after: null };
+            if (kind === 'bucket' && prev.runs.has(id)) change.runs = prev.runs.get(id);
+            changes.push(change);
+        });
+    });
+
+    const order = {};
+    ['bucketOrder', 'connectionOrder'].forEach(key => {
+        const same = prev[key].length === next[key].length && prev[key].every((id, i) => id === next[key][i]);
+        if (!same) order[key] = { before: prev[key], after: next[key] };
+    });
+
+    if (changes.length === 0 && Object.keys(order).length === 0) return null;
+    return { changes, order };
+}
+
+// Moves the state across one entry; only the records it touched are rebuilt
+function applyHistoryEntry(entry, direction) {
+    const side = direction === 'undo' ? 'before' : 'after';
+    const lists = { bucket: state.buckets, connection: state.connections };
+
+    ['bucket', 'connection'].forEach(kind => {
+        const byId = new Map(lists[kind].map(r => [r.id, r]));
+        entry.changes.forEach(change => {
+            if (change.kind !== kind) return;
+            if (change[side] === null) {
+                byId.delete(change.id);
+                return;
+            }
+            const record = JSON.parse(change[side]);
+            const current = byId.get(change.id);
+            if (kind === 'bucket' && current && current.runs) record.runs = current.runs;
+            else if (kind === 'bucket' && !current && change.runs) record.runs = change.runs;
+            byId.set(change.id, record);
+        });
+
+        const order = entry.order[kind + 'Order'];
+        const ids = order ? order[side] : lists[kind].map(r => r.id);
+        lists[kind] = ids.filter(id => byId.has(id)).map(id => byId.get(id));
+    });
+
+    state.buckets = lists.bucket;
+    state.connections = lists.connection;
+    if (entry.settings) state.settings = entry.settings[side];
+    historyRecords = captureHistoryRecords();
+}
+
 
 // Mutation helpers
 const actions = {
+    // Runs fn (synchronously) and records everything it changes as one undo step.
+    // Transactions nest; if fn throws, the workflow is rolled back.
+    transaction(label, fn) {
+        const before = transactionDepth === 0
+            ? JSON.stringify({ buckets: state.buckets, connections: state.connections })
+            : null;
+
+        let result;
+        transactionDepth++;
+        try {
+            result = fn();
+        } catch (e) {
+            if (before !== null) {
+                const restored = JSON.parse(before);
+                state.buckets = restored.buckets;
+                state.connections = restored.connections;
+                transactionChanged = false;
+                saveState();
+                emit('reset', null);
+            }
+            throw e;
+        } finally {
+            transactionDepth--;
+        }
+
+        if (transactionDepth === 0 && transactionChanged) {
+            transactionChanged = false;
+            commitHistory(label);
+        }
+        return result;
+    },
+
     addBucket(bucket) {
         state.buckets.push(bucket);
         saveState();
         emit('bucket:added', bucket);
-        commitHistory();
+        commitHistory(`Added bucket "${bucket.label || bucket.id}"`);
+    },
+    // Appends a run to the bucket's run history; not an undo step
+    recordRun(bucketId, run) {
+        const b = state.buckets.find(x => x.id === bucketId);
+        if (!b) return;
+        b.runs = (b.runs || []).concat(run).slice(-MAX_RUNS_PER_BUCKET);
+        if (historyRecords) historyRecords.runs.set(bucketId, b.runs);
+        saveState();
+        emit('runs:updated', { bucketId });
     },
-    updateBucket(id, changes) {
+    clearRuns(bucketId) {
+        const b = state.buckets.find(x => x.id === bucketId);
+        if (!b || !b.runs) return;
+        delete b.runs;
+        if (historyRecords) historyRecords.runs.delete(bucketId);
+        saveState();
+        emit('runs:updated', { bucketId });
+    },
+    updateBucket(id, changes, label = 'Edited bucket') {
         const b = state.buckets.find(x => x.id === id);
         if (b) {
             Object.assign(b, changes);
             saveState();
             emit('bucket:updated', b);
-            commitHistory();
+            commitHistory(label);
         }
     },
     removeBucket(id) {
+        const removed = state.buckets.find(x => x.id === id);
         state.buckets = state.buckets.filter(x => x.id !== id);
         
-        // Remove from DOM immediately
-        const el = document.getElementById(id);
-        if (el) el.remove();
-        
         reLayout(); 
         saveState();
         emit('bucket:removed', id);
-        commitHistory();
+        commitHistory(`Deleted bucket "${removed ? removed.label || removed.id : id}"`);
     },
     addItemToBucket(bucketId, item) {
         const b = state.buckets.find(x => x.id === bucketId);
@@ -90,7 +315,7 @@ const actions = {
             b.items.push(item);
             saveState();
             emit('bucket:updated', b);
-            commitHistory();
+            commitHistory(`Added card "${item.label || item.id}"`);
         }
     },
     removeItemFromBucket(bucketId, instanceId) {
@@ -98,10 +323,10 @@ const actions = {
         if (b) {
             const idx = b.items.findIndex(i => i.instanceId === instanceId);
             if (idx !== -1) {
-                b.items.splice(idx, 1);
+                const [removed] = b.items.splice(idx, 1);
                 saveState();
                 emit('bucket:updated', b);
-                commitHistory();
+                commitHistory(`Removed card "${removed.label || removed.id}"`);
             }
         }
     },
@@ -109,45 +334,185 @@ const actions = {
         state.connections.push(conn);
         saveState();
         emit('connection:added', conn);
-        commitHistory();
+        commitHistory(`Added connection ${describeConnection(conn)}`);
+    },
+    // routing: one of CONNECTION_ROUTING_STYLES, or null to follow the workflow
+    setConnectionRouting(id, routing) {
+        const conn = state.connections.find(c => c.id === id);
+        if (!conn || (conn.routing || null) === routing) return;
+        if (routing) conn.routing = routing;
+        else delete conn.routing;
+        saveState();
+        emit('connection:updated', conn);
+        commitHistory(`Routed ${describeConnection(conn)} ${routing ? CONNECTION_ROUTING_LABELS[routing].toLowerCase() : 'like the workflow'}`);
     },
     removeConnection(id) {
+        const removed = state.connections.find(c => c.id === id);
         state.connections = state.connections.filter(c => c.id !== id);
         saveState();
         emit('connection:removed', id);
-        commitHistory();
+        commitHistory(removed ? `Removed connection ${describeConnection(removed)}` : 'Removed connection');
+    },
+    // Workflow preferences live next to the custom templates: not part of undo history
+    updateSettings(changes) {
+        state.settings = { ...state.settings, ...changes };
+        saveState();
+        emit('settings:updated', state.settings);
     },
     clearAll() {
         state.buckets = [];
         state.connections = [];
         saveState();
         emit('reset', null);
-        commitHistory();
+        commitHistory('Cleared workflow');
     },
-    
-    undo() {
-        if (historyIndex > 0) {
-            historyIndex--;
-            const snapshot = historyStack[historyIndex];
-            state.buckets = JSON.parse(JSON.stringify(snapshot.buckets));
-            state.connections = JSON.parse(JSON.stringify(snapshot.connections));
-            
-            saveState();
-            emit('reset', null);
+    importWorkflow(workflow, mode) {
+        const settingsBefore = state.settings;
+        if (mode === 'replace') {
+            state.buckets = workflow.buckets;
+            state.connections = workflow.connections;
+            state.settings = workflow.settings;
+            emit('settings:updated', state.settings);
+        } else {
+            const merged = remapImportedWorkflow(workflow, state);
+            state.buckets = state.buckets.concat(merged.buckets);
+            state.connections = state.connections.concat(merged.connections);
+        }
+
+        // Custom templates are a library, so they are merged in either mode
+        const knownTemplates = new Set((state.customTemplates || []).map(t => t.id));
+        const newTemplates = workflow.customTemplates.filter(t => !knownTemplates.has(t.id));
+        state.customTemplates = (state.customTemplates || []).concat(newTemplates);
+
+        saveState();
+        emit('reset', null);
+        if (newTemplates.length > 0) emit('templates:updated', state.customTemplates);
+        // Settings are not undoable on their own, but undoing a replace puts the previous ones back
+        commitHistory(mode === 'replace' ? 'Imported workflow (replaced)' : 'Imported workflow (merged)',
+            mode === 'replace' ? { settings: { before: settingsBefore, after: state.settings } } : undefined);
+    },
+
+    // Project Actions (not part of undo history)
+    async createProject(name) {
+        const now = Date.now();
+        const project = { id: 'project-' + now, name, createdAt: now, updatedAt: now };
+        projectIndex.projects.push(project);
+        saveProjectIndex();
+        await actions.switchProject(project.id);
+    },
+    renameProject(id, name) {
+        const project = projectIndex.projects.find(p => p.id === id);
+        if (project) {
+            project.name = name;
+            saveProjectIndex();
+            emit('projects:updated', projectIndex);
+        }
+    },
+    async duplicateProject(id) {
+        const source = projectIndex.projects.find(p => p.id === id);
+        if (!source) return;
+
+        const doc = id === projectIndex.currentId
+            ? serializeWorkflow(state.buckets, state.connections, state.customTemplates, state.settings)
+            : await loadProjectDocument(id);
+
+        const now = Date.now();
+        const project = { id: 'project-' + now, name: `${source.name} (copy)`, createdAt: now, updatedAt: now };
+        try {
+            await storage.saveDocument(project.id, doc);
+        } catch (e) {
+            handleStorageError(e);
+            return;
+        }
+        projectIndex.projects.push(project);
+        saveProjectIndex();
+        await actions.switchProject(project.id);
+    },
+    async deleteProject(id) {
+        const remaining = projectIndex.projects.filter(p => p.id !== id);
+        if (remaining.length === projectIndex.projects.length) return;
+
+        if (remaining.length === 0) {
+            // Never leave the editor without a workflow
+            await actions.createProject('My Workflow');
+        } else if (id === projectIndex.currentId) {
+            await actions.switchProject(remaining[0].id);
+        }
+        // The switch failed (and said so): keep the project rather than delete the open one
+        if (projectIndex.currentId === id) return;
+
+        projectIndex.projects = projectIndex.projects.filter(p => p.id !== id);
+        delete projectHistories[id];
+        saveProjectIndex();
+        storage.removeDocument(id).catch(handleStorageError);
+        emit('projects:updated', projectIndex);
+    },
+    async switchProject(id) {
+        if (id === projectIndex.currentId || !projectIndex.projects.some(p => p.id === id)) return;
+
+        flushState();
+        projectHistories[projectIndex.currentId] = { stack: historyStack, index: historyIndex };
+
+        let doc;
+        try {
+            doc = await loadProjectDocument(id);
+        } catch (e) {
+            console.error("Failed to load workflow:", e);
+            showToast("That workflow could not be loaded.");
+            return;
+        }
+
+        projectIndex.currentId = id;
+        saveProjectIndex();
+
+        saveRevision = doc.revision || 0;
+        state.buckets = doc.buckets;
+        state.connections = doc.connections;
+        state.customTemplates = doc.customTemplates;
+        state.settings = doc.settings || {};
+
+        emit('project:switched', id);
+        emit('projects:updated', projectIndex);
+        emit('reset', null);
+        emit('templates:updated', state.customTemplates);
+
+        showRecoveryReport();
+
+        const saved = projectHistories[id];
+        if (saved) {
+            historyStack = saved.stack;
+            historyIndex = saved.index;
+            historyRecords = captureHistoryRecords();
             emit('history:updated', { index: historyIndex, total: historyStack.length });
+        } else {
+            await restoreHistory(id, saveRevision);
         }
     },
+
+    undo() {
+        actions.jumpToHistory(historyIndex - 1);
+    },
     redo() {
-         if (historyIndex < historyStack.length - 1) {
+        actions.jumpToHistory(historyIndex + 1);
+    },
+    // Walks the timeline entry by entry to any reachable state
+    jumpToHistory(index) {
+        if (index < 0 || index >= historyStack.length || index === historyIndex) return;
+        const settingsBefore = state.settings;
+
+        while (historyIndex > index) {
+            applyHistoryEntry(historyStack[historyIndex], 'undo');
+            historyIndex--;
+        }
+        while (historyIndex < index) {
             historyIndex++;
-            const snapshot = historyStack[historyIndex];
-            state.buckets = JSON.parse(JSON.stringify(snapshot.buckets));
-            state.connections = JSON.parse(JSON.stringify(snapshot.connections));
-            
-            saveState();
-            emit('reset', null);
-            emit('history:updated', { index: historyIndex, total: historyStack.length });
+            applyHistoryEntry(historyStack[historyIndex], 'redo');
         }
+
+        saveState();
+        emit('reset', null);
+        if (state.settings !== settingsBefore) emit('settings:updated', state.settings);
+        emit('history:updated', { index: historyIndex, total: historyStack.length });
     }
 };
 
@@ -191,20 +556,243 @@ function reLayout() {
 }
 
 function saveState() {
-    const serializableConnections = state.connections.map(c => ({
-        id: c.id,
-        sourceId: c.sourceId, 
-        targetId: c.targetId,
-        points: c.points // Preserve points
-    }));
+    if (!storage) return; // Nothing to overwrite until the stored workflow has loaded
 
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flushState, SAVE_DEBOUNCE_MS);
+}
+
+// Writes the current workflow now. The journal holds the full document until
+// the backend confirms the write, so a reload mid-write loses nothing.
+function flushState() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!storage) return Promise.resolve();
+
+    const projectId = projectIndex.currentId;
     const toSave = {
-        buckets: state.buckets,
-        connections: serializableConnections,
-        customTemplates: state.customTemplates || []
+        ...serializeWorkflow(state.buckets, state.connections, state.customTemplates, state.settings),
+        revision: ++saveRevision
+    };
+
+    writeJournal(projectId, toSave);
+    pendingWrites++;
+    const backend = storage;
+    const write = backend.saveDocument(projectId, toSave)
+        .then(() => clearJournal(projectId, toSave.revision))
+        .catch(err => handleStorageError(err, backend))
+        .finally(() => pendingWrites--);
+
+    // Optional: a lost history write only means the timeline restarts on reload
+    backend.saveHistory(projectId, { revision: toSave.revision, index: historyIndex, entries: historyStack.slice() })
+        .catch(e => console.warn("Could not save history:", e));
+
+    const project = projectIndex.projects.find(p => p.id === projectId);
+    if (project) {
+        project.updatedAt = Date.now();
+        saveProjectIndex();
+    }
+    return write;
+}
+
+// The page can go away before the debounce fires or an async write commits:
+// journal synchronously so the next load can replay it.
+function flushBeforeUnload() {
+    if (saveTimer) {
+        flushState();
+    } else if (pendingWrites > 0) {
+        writeJournal(projectIndex.currentId, {
+            ...serializeWorkflow(state.buckets, state.connections, state.customTemplates, state.settings),
+            revision: saveRevision
+        });
+    }
+}
+
+window.addEventListener('pagehide', flushBeforeUnload);
+window.addEventListener('beforeunload', flushBeforeUnload);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushBeforeUnload();
+});
+
+// `backend` is the one that failed; writes still in flight on it when it
+// has already been replaced have nothing left to report
+function handleStorageError(err, backend = storage) {
+    console.error("Storage Error:", err);
+    if (backend !== storage) return;
+
+    if (isQuotaError(err)) {
+        showToast("Storage is full: recent changes were not saved. Delete unused workflows to free space.");
+        return;
+    }
+
+    // IndexedDB can fail after opening (e.g. the database was deleted); keep working on localStorage
+    if (storage && storage.name !== 'localStorage') {
+        storage = createLocalStorageBackend();
+        showToast("Saving switched to local storage.");
+        flushState();
+        return;
+    }
+
+    showToast("Could not save your changes.");
+}
+
+function loadProjectIndex() {
+    const stored = localStorage.getItem(PROJECT_INDEX_KEY);
+    if (stored) {
+        const index = parseProjectIndex(stored);
+        if (index) return index;
+
+        // Rebuilt from the documents on disk: here from localStorage, after boot from the backend
+        recordRecovery('Workflow list', 'index', ["The list of workflows could not be read and has been rebuilt."], stored);
+        projectIndexRebuilt = true;
+        const rebuilt = { currentId: null, projects: [] };
+        listLocalStorageDocuments().forEach(id => addRecoveredProject(rebuilt, id));
+        if (rebuilt.projects.length > 0) {
+            rebuilt.currentId = rebuilt.projects[0].id;
+            localStorage.setItem(PROJECT_INDEX_KEY, JSON.stringify(rebuilt));
+            return rebuilt;
+        }
+    }
+
+    // First run with projects: adopt the old single-slot workflow as the default project
+    const now = Date.now();
+    const index = {
+        currentId: 'project-default',
+        projects: [{ id: 'project-default', name: 'My Workflow', createdAt: now, updatedAt: now }]
+    };
+    const legacy = localStorage.getItem(LEGACY_STATE_KEY);
+    if (legacy !== null) {
+        localStorage.setItem(projectStorageKey(index.currentId), legacy);
+        localStorage.removeItem(LEGACY_STATE_KEY);
+    }
+    localStorage.setItem(PROJECT_INDEX_KEY, JSON.stringify(index));
+    return index;
+}
+
+// Returns null when the index is unusable
+function parseProjectIndex(raw) {
+    let index;
+    try {
+        index = JSON.parse(raw);
+    } catch (e) {
+        return null;
+    }
+    if (!index || !Array.isArray(index.projects)) return null;
+
+    const projects = index.projects.filter(p => p && typeof p.id === 'string');
+    if (projects.length === 0) return null;
+    projects.forEach(p => {
+        if (typeof p.name !== 'string') p.name = 'Untitled Workflow';
+    });
+
+    const currentId = projects.some(p => p.id === index.currentId) ? index.currentId : projects[0].id;
+    return { ...index, currentId, projects };
+}
+
+function addRecoveredProject(index, id) {
+    if (index.projects.some(p => p.id === id)) return;
+    const now = Date.now();
+    const name = id === 'project-default' ? 'My Workflow' : `Recovered Workflow ${index.projects.length + 1}`;
+    index.projects.push({ id, name, createdAt: now, updatedAt: now });
+}
+
+// After an index rebuild, pick up workflows only the storage backend knows about
+async function adoptStoredProjects() {
+    try {
+        const ids = await storage.listDocuments();
+        ids.forEach(id => addRecoveredProject(projectIndex, id));
+        saveProjectIndex();
+    } catch (e) {
+        console.error("Failed to list stored workflows:", e);
+    }
+}
+
+function recordRecovery(name, quarantineId, problems, raw) {
+    pendingRecoveries.push({
+        name,
+        problems,
+        raw,
+        quarantineKey: quarantinePayload(quarantineId, raw)
+    });
+}
+
+function saveProjectIndex() {
+    try {
+        localStorage.setItem(PROJECT_INDEX_KEY, JSON.stringify(projectIndex));
+    } catch (e) {
+        handleStorageError(e);
+    }
+}
+
+// Older saved states are upgraded to the current schema (see js/document.js).
+// A journal newer than the stored document means the last write never completed.
+// Anything unreadable is quarantined and the workflow boots with what survives.
+async function loadProjectDocument(projectId) {
+    const journal = readJournal(projectId);
+    const problems = [];
+    let broken = null; // Raw payload to quarantine
+
+    let stored;
+    try {
+        stored = await storage.loadDocument(projectId);
+    } catch (e) {
+        if (e.name !== 'CorruptDocumentError') throw e;
+        console.warn("Stored workflow is corrupt:", e);
+        broken = e.raw;
+        problems.push("The saved data could not be read.");
+        stored = null;
+    }
+
+    let recovered = false;
+    if (journal && (!stored || (journal.revision || 0) > (stored.revision || 0))) {
+        stored = journal;
+        recovered = true;
+        if (broken !== null) problems.push("The latest changes were recovered from the save journal.");
+    } else if (journal) {
+        clearJournal(projectId, stored.revision || 0);
+    }
+
+    let doc;
+    try {
+        doc = stored ? migrateWorkflowDocument(stored) : createEmptyWorkflowDocument();
+    } catch (e) {
+        if (broken === null) broken = JSON.stringify(stored);
+        problems.push(e.message);
+        doc = createEmptyWorkflowDocument();
+    }
+
+    const repair = repairWorkflowDocument(doc);
+    if (repair.problems.length > 0) {
+        if (broken === null) broken = JSON.stringify(stored);
+        problems.push(...repair.problems);
+        doc = repair.doc;
+    }
+
+    if (broken !== null) {
+        const project = projectIndex.projects.find(p => p.id === projectId);
+        recordRecovery(project ? project.name : projectId, projectId, problems, broken);
+        doc.revision = (doc.revision || 0) + 1; // Persisted history no longer matches
+    }
+
+    // Overwrite the stored copy so the same repair isn't needed on every load
+    if (recovered || broken !== null) {
+        storage.saveDocument(projectId, doc)
+            .then(() => clearJournal(projectId, doc.revision || 0))
+            .catch(handleStorageError);
+    }
+
+    return doc;
+}
+
+// Builds a workflow document (format documented in js/document.js)
+function serializeWorkflow(buckets, connections, customTemplates, settings) {
+    return {
+        schemaVersion: WORKFLOW_SCHEMA_VERSION,
+        buckets: buckets,
+        connections: connections.map(c => ({ ...c })), // Keep every field (points, etc.)
+        customTemplates: customTemplates || [],
+        settings: { ...settings }
     };
-    
-    localStorage.setItem('workflowState', JSON.stringify(toSave));
 }
 
 // ==========================================
@@ -228,6 +816,7 @@ function initConnections() {
     document.addEventListener('mousemove', (e) => {
         if (activePath && startNode) {
             updateActivePath(e.clientX, e.clientY);
+            updatePreviewValidity(activePath, e.target.closest('.variable'));
         }
     });
 
@@ -236,11 +825,11 @@ function initConnections() {
             const targetEl = e.target.closest('.variable');
             if (targetEl && targetEl !== startNode) {
                 completeConnection(startNode, targetEl);
-            } else {
-                activePath.remove();
             }
+            activePath.remove();
             activePath = null;
             startNode = null;
+            clearConnectionTargets();
             
             document.querySelectorAll('.variable.highlight').forEach(el => el.classList.remove('highlight'));
         }
@@ -260,7 +849,6 @@ function initConnections() {
             if (selected) {
                 const connId = parseInt(selected.id.replace('conn-', ''));
                 actions.removeConnection(connId);
-                selected.remove();
             }
         }
     });
@@ -271,9 +859,6 @@ function initConnections() {
          }
     });
 
-    setTimeout(() => {
-        state.connections.forEach(conn => renderConnection(conn));
-    }, 0);
 }
 
 function startConnection(node, e) {
@@ -286,6 +871,7 @@ function startConnection(node, e) {
     svgLayer.appendChild(path);
     activePath = path;
 
+    markConnectionTargets('.variable[data-connection-id]', el => el.dataset.connectionId, node.dataset.connectionId);
     updateActivePath(e.clientX, e.clientY);
 }
 
@@ -298,7 +884,7 @@ function updateActivePath(mouseX, mouseY) {
     const x2 = mouseX - svgRect.left;
     const y2 = mouseY - svgRect.top;
 
-    const d = getBezierPath(x1, y1, x2, y2);
+    const d = routeConnection(connectionRouting(null), { x: x1, y: y1 }, { x: x2, y: y2 }).d;
     activePath.setAttribute('d', d);
 }
 
@@ -311,6 +897,12 @@ function completeConnection(sourceEl, targetEl) {
         return;
     }
 
+    const problem = connectionProblem(state, sourceId, targetId);
+    if (problem) {
+        showToast(problem);
+        return;
+    }
+
     const connection = {
         id: Date.now(),
         sourceId, 
@@ -318,7 +910,39 @@ function completeConnection(sourceEl, targetEl) {
     };
     
     actions.addConnection(connection);
-    renderConnection(connection);
+}
+
+// Classes every variable matching `selector` as a place the one being dragged
+// can (drop-ok) or cannot (drop-bad, with the reason as its tooltip) connect to
+function markConnectionTargets(selector, endpointOf, sourceId) {
+    document.querySelectorAll(selector).forEach(el => {
+        const endpoint = endpointOf(el);
+        if (endpoint === sourceId) return;
+        const problem = connectionProblem(state, sourceId, endpoint);
+        el.classList.add(problem ? 'drop-bad' : 'drop-ok');
+        if (problem) {
+            el.dataset.dropProblem = problem;
+            el.dataset.titleBeforeDrag = el.title;
+            el.title = problem;
+        }
+    });
+}
+
+function clearConnectionTargets() {
+    document.querySelectorAll('.drop-ok, .drop-bad').forEach(el => {
+        if (el.dataset.dropProblem) {
+            el.title = el.dataset.titleBeforeDrag || '';
+            delete el.dataset.dropProblem;
+            delete el.dataset.titleBeforeDrag;
+        }
+        el.classList.remove('drop-ok', 'drop-bad');
+    });
+}
+
+// Green while the preview is over a variable it can connect to, red over one it cannot
+function updatePreviewValidity(path, targetEl) {
+    path.classList.toggle('valid', !!targetEl && targetEl.classList.contains('drop-ok'));
+    path.classList.toggle('invalid', !!targetEl && targetEl.classList.contains('drop-bad'));
 }
 
 function renderConnection(conn) {
@@ -354,7 +978,7 @@ function updateConnectionPath(conn, pathEl, sourceEl, targetEl) {
         const x2 = r2.left + r2.width / 2 - svgRect.left;
         const y2 = r2.top + r2.height / 2 - svgRect.top;
     
-        const d = getBezierPath(x1, y1, x2, y2);
+        const d = routeConnection(connectionRouting(conn), { x: x1, y: y1 }, { x: x2, y: y2 }).d;
         pathEl.setAttribute('d', d);
     } catch (e) {
     }
@@ -366,10 +990,11 @@ function updateConnections() {
     });
 }
 
-function getBezierPath(x1, y1, x2, y2) {
-    const dist = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
-    const cpOffset = Math.max(50, Math.min(200, dist / 2));
-    return `M ${x1} ${y1} C ${x1 + cpOffset} ${y1}, ${x2 - cpOffset} ${y2}, ${x2} ${y2}`;
+// A connection's routing style (js/routing.js): its own, else the workflow's.
+// Pass null for the workflow's style.
+function connectionRouting(conn) {
+    if (conn && CONNECTION_ROUTING_STYLES.includes(conn.routing)) return conn.routing;
+    return CONNECTION_ROUTING_STYLES.includes(state.settings.routing) ? state.settings.routing : 'bezier';
 }
 
 // ==========================================
@@ -404,27 +1029,10 @@ function initCanvas() {
         globalExportBtn.addEventListener('click', handleGlobalExport);
     }
 
+    initImport();
+
     document.addEventListener('mousemove', handleBucketDragMove);
     document.addEventListener('mouseup', handleBucketDragEnd);
-
-    // Listen for History Reset (Undo/Redo)
-    on('reset', () => {
-        if (typeof currentOpenBucketId !== 'undefined' && currentOpenBucketId) {
-             const bucket = state.buckets.find(b => b.id === currentOpenBucketId);
-             if (bucket) {
-                 openBucketDetail(currentOpenBucketId);
-             } else {
-                 closeBucketDetail();
-                 renderBuckets();
-                 updateConnections();
-             }
-        } else {
-            renderBuckets();
-            updateConnections();
-        }
-    });
-
-    state.buckets.forEach(bucket => renderBucket(bucket));
 }
 
 function handleCanvasDrop(e) {
@@ -479,7 +1087,87 @@ function createBucket(itemData, clientX, clientY) {
         label: label 
     };
     actions.addBucket(bucket);
-    renderBucket(bucket);
+}
+
+// Full re-render of the global canvas (buckets + global connection paths)
+function renderBuckets() {
+    bucketsContainer.innerHTML = '';
+    state.buckets.forEach(bucket => renderBucket(bucket));
+    renderGlobalConnections();
+}
+
+function renderGlobalConnections() {
+    svgLayer.querySelectorAll('.connection-path:not(.preview)').forEach(p => p.remove());
+    state.connections.forEach(conn => renderConnection(conn));
+}
+
+// ==========================================
+// 4. RENDER PIPELINE
+// ==========================================
+// The DOM is a function of `state`: actions emit events, the handlers below
+// only mark what went stale and a single animation frame redraws it, so a
+// transaction of many mutations costs one render.
+
+const staleView = { all: false, buckets: new Set(), connections: false };
+let renderFrame = null;
+
+function initRenderPipeline() {
+    on('reset', () => invalidateView({ all: true }));
+    on('bucket:added', (bucket) => invalidateView({ bucketId: bucket.id }));
+    on('bucket:updated', (bucket) => invalidateView({ bucketId: bucket.id }));
+    on('bucket:removed', (id) => invalidateView({ bucketId: id }));
+    on('connection:added', () => invalidateView({ connections: true }));
+    on('connection:removed', () => invalidateView({ connections: true }));
+    on('connection:updated', () => invalidateView({ connections: true }));
+    on('settings:updated', () => invalidateView({ connections: true }));
+}
+
+function invalidateView({ all = false, bucketId = null, connections = false }) {
+    if (all) staleView.all = true;
+    if (bucketId) staleView.buckets.add(bucketId);
+    if (connections) staleView.connections = true;
+
+    if (renderFrame === null) renderFrame = requestAnimationFrame(flushRender);
+}
+
+function flushRender() {
+    renderFrame = null;
+    const all = staleView.all;
+    const buckets = new Set(staleView.buckets);
+    const connectionsStale = staleView.connections;
+    staleView.all = false;
+    staleView.buckets.clear();
+    staleView.connections = false;
+
+    // Global canvas
+    if (all) {
+        renderBuckets();
+    } else {
+        buckets.forEach(id => {
+            const bucket = state.buckets.find(b => b.id === id);
+            if (bucket) {
+                renderBucket(bucket);
+            } else {
+                const el = document.getElementById(id);
+                if (el) el.remove();
+            }
+        });
+        if (buckets.size > 0 || connectionsStale) renderGlobalConnections();
+    }
+    renderProblems();
+    renderLineage();
+
+    // Detail board of the open bucket
+    if (!currentOpenBucketId) return;
+    const openBucket = state.buckets.find(b => b.id === currentOpenBucketId);
+    if (!openBucket) {
+        closeBucketDetail();
+    } else if (all || buckets.has(openBucket.id)) {
+        renderDetailBoard(openBucket);
+    } else if (connectionsStale || buckets.size > 0) {
+        // Other buckets show up in the open one's ports
+        renderDetailConnections(openBucket.id);
+    }
 }
 
 // ==========================================
@@ -489,9 +1177,22 @@ function createBucket(itemData, clientX, clientY) {
 window.addEventListener('DOMContentLoaded', () => {
     initConnections();
     initCanvas();
+    initRenderPipeline();
     initSidebar();
     // syncSidebarVisibility(); // Removed per user request (Copy mode)
     initDetailOverlay();
+
+    // Render the stored workflow once the storage backend has loaded it
+    storageReady.then(() => {
+        emit('reset', null);
+        emit('templates:updated', state.customTemplates);
+        if (historyRecords) {
+            emit('history:updated', { index: historyIndex, total: historyStack.length });
+        } else {
+            resetHistory('Opened workflow');
+        }
+        showRecoveryReport();
+    });
 });
 
 let activeDragCardId = null;
@@ -516,56 +1217,109 @@ function initDetailOverlay() {
 
 // --- Export Functions ---
 
-// --- Export Functions ---
+// Exported JSON files carry the full workflow (so they can be imported again)
+// next to the human readable "Matched / Un Matched" summary.
+function buildExportDocument(buckets, connections, customTemplates, summary, dependencies) {
+    const exportDoc = {
+        type: 'workflow-export',
+        exportedAt: new Date().toISOString(),
+        workflow: serializeWorkflow(buckets, connections, customTemplates, state.settings),
+        summary: summary
+    };
+    if (dependencies) exportDoc.dependencies = dependencies;
+    return exportDoc;
+}
 
-function handleGlobalExport() {
-    try {
-        const fullExport = [];
+function buildBucketSummary(bucket) {
+    // 1. Matched Data (Internal Connections)
+    const { internal: relevantConns, inbound, outbound } = partitionBucketConnections(state.connections, bucket.id);
+    const externalConns = [...inbound, ...outbound];
+
+    // Listed in flow order: connections out of upstream cards first.
+    // Links to other buckets count as connections but don't change the order.
+    const graph = createConnectionGraph([...relevantConns, ...externalConns]);
+    const ranks = graph.cardRanks(bucket.items.map(item => `${bucket.id}:${item.instanceId}`));
+    const flowOrder = [...relevantConns].sort((a, b) =>
+        (ranks.get(endpointCard(a.sourceId)) || 0) - (ranks.get(endpointCard(b.sourceId)) || 0)
+    );
 
-        state.buckets.forEach(bucket => {
-            const bucketName = bucket.label || bucket.id;
-            const bucketPrefix = bucket.id + ':';
-            
-            // 1. Matched Data (Internal Connections)
-            const relevantConns = state.connections.filter(c => 
-                c.sourceId.startsWith(bucketPrefix) && c.targetId.startsWith(bucketPrefix)
-            );
-            
-            const matchedStrings = relevantConns.map(conn => {
-                const sourceMeta = resolveConnId(conn.sourceId, bucket);
-                const targetMeta = resolveConnId(conn.targetId, bucket);
-                return `${sourceMeta.varLabel} (${sourceMeta.appName}) -> ${targetMeta.varLabel} (${targetMeta.appName})`;
-            });
+    const matchedStrings = flowOrder.map(conn => {
+        const sourceMeta = resolveConnId(conn.sourceId, bucket);
+        const targetMeta = resolveConnId(conn.targetId, bucket);
+        return `${sourceMeta.varLabel} (${sourceMeta.appName}) -> ${targetMeta.varLabel} (${targetMeta.appName})`;
+    });
 
-            // 2. Unmatched Data
-            const unmatchedStrings = [];
-            const connectedVarIds = new Set();
-            relevantConns.forEach(c => {
-                connectedVarIds.add(c.sourceId);
-                connectedVarIds.add(c.targetId);
-            });
+    // 2. Unmatched Data
+    const unmatchedStrings = [];
 
-            bucket.items.forEach(item => {
-                if (item.variables) {
-                    item.variables.forEach(v => {
-                        const connId = `${bucket.id}:${item.instanceId}:${v.id}`;
-                        if (!connectedVarIds.has(connId)) {
-                            unmatchedStrings.push(`${v.label} (${item.label})`);
-                        }
-                    });
+    bucket.items.forEach(item => {
+        if (item.variables) {
+            item.variables.forEach(v => {
+                const connId = `${bucket.id}:${item.instanceId}:${v.id}`;
+                if (!graph.isConnected(connId)) {
+                    unmatchedStrings.push(`${v.label} (${item.label})`);
                 }
             });
+        }
+    });
+
+    // 3. Links to other buckets
+    const linkedStrings = externalConns.map(conn =>
+        `${describeLinkedEndpoint(conn.sourceId)} -> ${describeLinkedEndpoint(conn.targetId)}`
+    );
+
+    return { relevantConns, externalConns, matchedStrings, unmatchedStrings, linkedStrings };
+}
+
+// "Commit Push (GitHub in Bucket 2)"
+function describeLinkedEndpoint(endpoint) {
+    const bucket = state.buckets.find(b => b.id === endpointBucket(endpoint));
+    if (!bucket) return 'Unknown (deleted bucket)';
+    const { appName, varLabel } = resolveConnId(endpoint, bucket);
+    return `${varLabel} (${appName} in ${bucket.label || bucket.id})`;
+}
 
+// Connections between buckets, grouped by bucket pair:
+// [{ from: "Bucket 1", to: "Bucket 2", links: ["End (Delay) -> Commit Push (GitHub)"] }]
+function buildBucketDependencies() {
+    const pairs = new Map();
+    state.connections.forEach(conn => {
+        const fromId = endpointBucket(conn.sourceId);
+        const toId = endpointBucket(conn.targetId);
+        if (fromId === toId) return;
+
+        const key = `${fromId}>${toId}`;
+        if (!pairs.has(key)) {
+            const name = (id) => {
+                const bucket = state.buckets.find(b => b.id === id);
+                return bucket ? bucket.label || bucket.id : 'Unknown (deleted bucket)';
+            };
+            pairs.set(key, { from: name(fromId), to: name(toId), links: [] });
+        }
+        const describe = (endpoint) => {
+            const bucket = state.buckets.find(b => b.id === endpointBucket(endpoint));
+            const { appName, varLabel } = bucket ? resolveConnId(endpoint, bucket) : { appName: 'Unknown', varLabel: 'Unknown' };
+            return `${varLabel} (${appName})`;
+        };
+        pairs.get(key).links.push(`${describe(conn.sourceId)} -> ${describe(conn.targetId)}`);
+    });
+    return [...pairs.values()];
+}
+
+function handleGlobalExport() {
+    try {
+        const summary = state.buckets.map(bucket => {
+            const { matchedStrings, unmatchedStrings } = buildBucketSummary(bucket);
             const bucketObj = {};
-            bucketObj[bucketName] = [
+            bucketObj[bucket.label || bucket.id] = [
                  { "Matched datas": matchedStrings },
                  { "Un Matched Data": unmatchedStrings }
             ];
-            
-            fullExport.push(bucketObj);
+            return bucketObj;
         });
 
-        const content = JSON.stringify(fullExport, null, 2);
+        const exportDoc = buildExportDocument(state.buckets, state.connections, state.customTemplates, summary, buildBucketDependencies());
+        const content = JSON.stringify(exportDoc, null, 2);
         downloadTextFile('global_workflow_export.json', content, 'application/json');
 
     } catch (e) {
@@ -588,63 +1342,40 @@ function handleExportData(formatOverride) {
 
         // Use argument if string, otherwise default to json
         const format = (typeof formatOverride === 'string') ? formatOverride : 'json';
-        
-        // 1. Matched Data
-        
-        // 1. Matched Data
-        const bucketPrefix = bucket.id + ':';
-        const relevantConns = state.connections.filter(c => 
-            c.sourceId.startsWith(bucketPrefix) && c.targetId.startsWith(bucketPrefix)
-        );
-        
-        const matchedStrings = relevantConns.map(conn => {
-            const sourceMeta = resolveConnId(conn.sourceId, bucket);
-            const targetMeta = resolveConnId(conn.targetId, bucket);
-            return `${sourceMeta.varLabel} (${sourceMeta.appName}) -> ${targetMeta.varLabel} (${targetMeta.appName})`;
-        });
 
-        // 2. Unmatched Data
-        const unmatchedStrings = [];
-        const connectedVarIds = new Set();
-        relevantConns.forEach(c => {
-            connectedVarIds.add(c.sourceId);
-            connectedVarIds.add(c.targetId);
-        });
+        const { relevantConns, matchedStrings, unmatchedStrings, linkedStrings } = buildBucketSummary(bucket);
 
-        bucket.items.forEach(item => {
-            if (item.variables) {
-                item.variables.forEach(v => {
-                    const connId = `${bucket.id}:${item.instanceId}:${v.id}`;
-                    if (!connectedVarIds.has(connId)) {
-                        unmatchedStrings.push(`${v.label} (${item.label})`);
-                    }
-                });
-            }
-        });
-        
         let content = '';
         let mimeType = '';
         let ext = '';
         
         if (format === 'csv') {
-            const header = "Matched Data,Unmatched Data";
-            const maxLen = Math.max(matchedStrings.length, unmatchedStrings.length);
+            const header = "Matched Data,Unmatched Data,Other Buckets";
+            const maxLen = Math.max(matchedStrings.length, unmatchedStrings.length, linkedStrings.length);
             const rows = [];
             for (let i = 0; i < maxLen; i++) {
                 const m = matchedStrings[i] ? `"${matchedStrings[i]}"` : "";
                 const u = unmatchedStrings[i] ? `"${unmatchedStrings[i]}"` : "";
-                rows.push(`${m},${u}`);
+                const l = linkedStrings[i] ? `"${linkedStrings[i]}"` : "";
+                rows.push(`${m},${u},${l}`);
             }
             content = header + '\n' + rows.join('\n');
             mimeType = 'text/csv';
             ext = 'csv';
         } else {
-            // User requested structure: Array of objects
-            const jsonStructure = [
+            // User requested structure: Array of objects.
+            // The workflow keeps internal connections only, so the file imports
+            // on its own; links to other buckets are listed in the summary.
+            const summary = [
                 { "Matched datas": matchedStrings },
-                { "Un Matched Data": unmatchedStrings }
+                { "Un Matched Data": unmatchedStrings },
+                { "Other Buckets": linkedStrings }
             ];
-            content = JSON.stringify(jsonStructure, null, 2);
+            const usedTemplates = (state.customTemplates || []).filter(t =>
+                bucket.items.some(item => item.id === t.id)
+            );
+            const exportDoc = buildExportDocument([bucket], relevantConns, usedTemplates, summary);
+            content = JSON.stringify(exportDoc, null, 2);
             mimeType = 'application/json';
             ext = 'json';
         }
@@ -657,6 +1388,64 @@ function handleExportData(formatOverride) {
     }
 }
 
+// --- Import Functions ---
+
+let pendingImport = null;
+
+function initImport() {
+    const importBtn = document.getElementById('global-import-btn');
+    const fileInput = document.getElementById('import-file-input');
+    const modal = document.getElementById('import-modal');
+    if (!importBtn || !fileInput || !modal) return;
+
+    importBtn.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = ''; // Allow re-importing the same file
+        if (file) handleImportFile(file);
+    });
+
+    const closeModal = () => {
+        pendingImport = null;
+        modal.classList.add('hidden');
+    };
+
+    const confirmImport = (mode) => {
+        if (pendingImport) {
+            actions.importWorkflow(pendingImport, mode);
+            showToast(`Workflow imported (${mode === 'replace' ? 'replaced' : 'merged'}).`);
+        }
+        closeModal();
+    };
+
+    document.getElementById('close-import-btn').addEventListener('click', closeModal);
+    document.getElementById('cancel-import-btn').addEventListener('click', closeModal);
+    document.getElementById('merge-import-btn').addEventListener('click', () => confirmImport('merge'));
+    document.getElementById('replace-import-btn').addEventListener('click', () => confirmImport('replace'));
+}
+
+function handleImportFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            pendingImport = parseWorkflowImport(JSON.parse(reader.result));
+        } catch (e) {
+            console.error("Import Error:", e);
+            alert("Import failed: " + e.message);
+            return;
+        }
+
+        const b = pendingImport.buckets.length;
+        const c = pendingImport.connections.length;
+        document.getElementById('import-summary').textContent =
+            `"${file.name}" contains ${b} bucket${b === 1 ? '' : 's'} and ${c} connection${c === 1 ? '' : 's'}.`;
+        document.getElementById('import-modal').classList.remove('hidden');
+    };
+    reader.onerror = () => alert("Import failed: the file could not be read.");
+    reader.readAsText(file);
+}
+
 function resolveConnId(connId, bucket) {
     const parts = connId.split(':');
     // bucketId:instanceId:varId
@@ -696,7 +1485,7 @@ function openBucketDetail(bucketId) {
     // --- NEW EXPORT DROPDOWN LOGIC ---
     const triggerBtn = document.getElementById('export-trigger-btn');
     const panel = document.getElementById('export-panel');
-    const options = document.querySelectorAll('.export-option');
+    const options = document.querySelectorAll('#export-panel .export-option');
     
     // Toggle Panel
     if (triggerBtn && panel) {
@@ -744,24 +1533,8 @@ function openBucketDetail(bucketId) {
     }
     */
 
-    const overlay = document.getElementById('bucket-detail-overlay');
-    const labelEl = document.getElementById('detail-bucket-label');
-    const container = document.getElementById('detail-cards-container');
-
-    labelEl.innerText = bucket.label || 'Unnamed Bucket';
-    container.innerHTML = '';
-    
-    // Create Board Wrapper
-    const wrapper = document.createElement('div');
-    wrapper.id = 'detail-board-wrapper';
-    wrapper.style.transformOrigin = '0 0';
-    wrapper.style.width = '100%';
-    wrapper.style.height = '100%';
-    container.appendChild(wrapper);
-
     // Reset Transform
     currentTransform = { x: 0, y: 0, scale: 1 };
-    updateContainerTransform();
 
     // Assign default positions if missing (Grid auto-layout for initial view)
     let needsSave = false;
@@ -777,9 +1550,31 @@ function openBucketDetail(bucketId) {
     });
     
     if (needsSave) {
-        actions.updateBucket(bucket.id, { items: bucket.items });
+        actions.updateBucket(bucket.id, { items: bucket.items }, 'Arranged cards');
     }
 
+    renderDetailBoard(bucket);
+    showDetailTab('board');
+    document.getElementById('bucket-detail-overlay').classList.remove('hidden');
+}
+
+// Rebuilds the cards and connections of the open bucket, keeping pan/zoom
+function renderDetailBoard(bucket) {
+    const labelEl = document.getElementById('detail-bucket-label');
+    const container = document.getElementById('detail-cards-container');
+
+    labelEl.innerText = bucket.label || 'Unnamed Bucket';
+    container.innerHTML = '';
+    
+    // Create Board Wrapper
+    const wrapper = document.createElement('div');
+    wrapper.id = 'detail-board-wrapper';
+    wrapper.style.transformOrigin = '0 0';
+    wrapper.style.width = '100%';
+    wrapper.style.height = '100%';
+    container.appendChild(wrapper);
+    updateContainerTransform();
+
     // 1. Add SVG Layer specific to this Detail View
     const svgId = 'detail-connection-layer';
     let svgLayer = document.getElementById(svgId);
@@ -794,38 +1589,66 @@ function openBucketDetail(bucketId) {
         const card = document.createElement('div');
         card.className = 'detail-card';
         card.id = 'card-' + item.instanceId;
-        card.style.left = item.x + 'px';
-        card.style.top = item.y + 'px';
+        card.style.left = (item.x || 0) + 'px';
+        card.style.top = (item.y || 0) + 'px';
 
         // Header
         const typeLabel = item.nodeType === 'hub' ? 'HUB' : 'WEB APP';
+        const connector = getItemConnector(item);
         
-        let html = `
+        // Labels and ids come from saved or imported files: they are only ever set as text
+        card.innerHTML = `
             <div class="detail-card-header" style="position: relative;">
                 <span class="type-tag">${typeLabel}</span>
                 <span class="delete-card-btn" title="Remove Card" style="position:absolute; top:16px; right:20px; cursor:pointer; color:#94a3b8; font-size:20px; line-height:1;">×</span>
-                <span>${item.label}</span>
+                ${connector && connector.settings.length > 0 ? '<span class="card-settings-btn" title="Settings">⚙️</span>' : ''}
+                <span class="detail-card-label"></span>
             </div>
-            <div class="detail-card-body">
+            <div class="detail-card-body"></div>
         `;
+        card.querySelector('.detail-card-label').textContent = item.label;
+        const body = card.querySelector('.detail-card-body');
         
         // Variables List
         if (item.variables && item.variables.length > 0) {
             item.variables.forEach(v => {
                 const connId = `${bucket.id}:${item.instanceId}:${v.id}`;
-                html += `
-                    <div class="card-variable-row" data-conn-id="${connId}">
-                        <span>${v.label}</span>
-                        <div class="card-connector" data-conn-id="${connId}"></div>
-                    </div>
-                `;
+                const row = document.createElement('div');
+                row.className = 'card-variable-row';
+                row.dataset.connId = connId;
+
+                const label = document.createElement('span');
+                label.textContent = v.label;
+                row.appendChild(label);
+
+                const dataType = variableDataType(v, item);
+                if (dataType) {
+                    const badge = document.createElement('span');
+                    badge.className = 'var-type-badge';
+                    badge.title = 'Data type';
+                    badge.textContent = dataType;
+                    row.appendChild(badge);
+                }
+
+                if (v.type === 'trigger') {
+                    const sampleCount = Array.isArray(v.samples) ? v.samples.length : 0;
+                    const sampleBtn = document.createElement('span');
+                    sampleBtn.className = sampleCount ? 'sample-btn has-samples' : 'sample-btn';
+                    sampleBtn.dataset.varId = v.id;
+                    sampleBtn.title = 'Sample payloads';
+                    sampleBtn.textContent = `{ }${sampleCount ? ' ' + sampleCount : ''}`;
+                    row.appendChild(sampleBtn);
+                }
+
+                const connectorDot = document.createElement('div');
+                connectorDot.className = 'card-connector';
+                connectorDot.dataset.connId = connId;
+                row.appendChild(connectorDot);
+                body.appendChild(row);
             });
         } else {
-             html += `<div class="card-variable-row" style="color:#999; font-style:italic;">No variables</div>`;
+             body.innerHTML = `<div class="card-variable-row" style="color:#999; font-style:italic;">No variables</div>`;
         }
-        
-        html += `</div>`;
-        card.innerHTML = html;
 
         // Attach Delete Listener
         const delBtn = card.querySelector('.delete-card-btn');
@@ -834,31 +1657,31 @@ function openBucketDetail(bucketId) {
                 e.preventDefault();
                 e.stopPropagation();
                 if (confirm('Are you sure you want to remove this card?')) {
-                    // Remove connections
-                    const bucketPrefix = bucket.id + ':';
-                    const newConns = state.connections.filter(c => {
-                        const s = c.sourceId.includes(`:${item.instanceId}:`);
-                        const t = c.targetId.includes(`:${item.instanceId}:`);
-                        return !(s || t);
-                    });
-                    state.connections = newConns; // simplistic state update, ideally via action
-                    
-                    // Remove Item
-                    const newItems = bucket.items.filter(i => i.instanceId !== item.instanceId);
-                    actions.updateBucket(bucket.id, { items: newItems });
-                    
-                    openBucketDetail(bucket.id); // Re-render
+                    deleteCard(item.instanceId, bucket.id);
                 }
             });
         }
 
+        card.querySelectorAll('.sample-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openSampleEditor(bucket.id, item.instanceId, btn.dataset.varId);
+            });
+        });
+
+        const settingsBtn = card.querySelector('.card-settings-btn');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openCardSettings(item.instanceId, bucket.id);
+            });
+        }
+
         wrapper.appendChild(card);
     });
 
-    overlay.classList.remove('hidden');
-
-    // Initial Render of Connections in this bucket
     renderDetailConnections(bucket.id);
+    renderRunValues();
 }
 
 // Global drawing state for Detail View
@@ -987,25 +1810,20 @@ function handleDetailConnectionStart(e) {
     if (!row) return;
 
     detailStartNode = row;
-    currentPathPoints = [];
     
     const svgLayer = document.getElementById('detail-connection-layer');
     const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
     path.classList.add('detail-connection-path', 'preview');
     svgLayer.appendChild(path);
     detailActivePath = path;
-    
-    // Initial Point
-    const pt = getTransformedPoint(e.clientX, e.clientY);
-    currentPathPoints.push(pt);
+    markConnectionTargets('#detail-board-wrapper .card-variable-row[data-conn-id]', el => el.dataset.connId, row.dataset.connId);
+    updateDetailActivePath(e.clientX, e.clientY);
 }
 
 function handleDetailConnectionMove(e) {
     if (detailActivePath) {
-        const pt = getTransformedPoint(e.clientX, e.clientY);
-        currentPathPoints.push(pt);
-        
-        detailActivePath.setAttribute('d', pointsToPath(currentPathPoints));
+        updateDetailActivePath(e.clientX, e.clientY);
+        updatePreviewValidity(detailActivePath, e.target.closest('.card-variable-row[data-conn-id]'));
     }
 }
 
@@ -1027,8 +1845,6 @@ function handleDetailConnectionEnd(e) {
                 targetId,
                 points: [...currentPathPoints]
             });
-
-            renderDetailConnections(currentOpenBucketId);
         }
         
         detailActivePath.remove();
@@ -1107,7 +1923,6 @@ function renderDetailConnections(bucketId) {
                 setTimeout(() => {
                     if (confirm('Disband this connection?')) {
                         actions.removeConnection(conn.id);
-                        renderDetailConnections(bucketId);
                     }
                 }, 10);
             });
@@ -1129,21 +1944,26 @@ function updateDetailLines() {
 
 function handleDetailConnectionEnd(e) {
     if (detailActivePath) {
-        const targetConnector = e.target.closest('.card-connector');
+        // Dropping anywhere on a row counts; dropping back on the start row cancels
+        const targetRow = e.target.closest('.card-variable-row[data-conn-id]');
         
-        if (targetConnector && targetConnector !== detailStartNode) {
+        if (targetRow && targetRow !== detailStartNode) {
             const sourceId = detailStartNode.dataset.connId;
-            const targetId = targetConnector.dataset.connId;
+            const targetId = targetRow.dataset.connId;
+            const problem = connectionProblem(state, sourceId, targetId);
             
-            actions.addConnection({
-                id: Date.now(),
-                sourceId,
-                targetId
-            });
-
-            renderDetailConnections(currentOpenBucketId);
+            if (problem) {
+                showToast(problem);
+            } else {
+                actions.addConnection({
+                    id: Date.now(),
+                    sourceId,
+                    targetId
+                });
+            }
         }
         
+        clearConnectionTargets();
         detailActivePath.remove();
         detailActivePath = null;
         detailStartNode = null;
@@ -1177,8 +1997,9 @@ function updateDetailActivePath(mouseX, mouseY) {
     const wrapper = document.getElementById('detail-board-wrapper');
     if (!wrapper) return;
     
-    // Start Node center relative to Wrapper
-    const startRect = detailStartNode.getBoundingClientRect(); // Screen Coords
+    // Start Node center relative to Wrapper (the row's connector dot)
+    const startEl = detailStartNode.querySelector('.card-connector') || detailStartNode;
+    const startRect = startEl.getBoundingClientRect(); // Screen Coords
     const wrapperRect = wrapper.getBoundingClientRect(); // Screen Coords
     
     // Rel to Wrapper (which is the SVG space)
@@ -1188,7 +2009,7 @@ function updateDetailActivePath(mouseX, mouseY) {
     const x2 = (mouseX - wrapperRect.left) / currentTransform.scale;
     const y2 = (mouseY - wrapperRect.top) / currentTransform.scale;
     
-    const d = getBezierPath(x1, y1, x2, y2);
+    const d = routeConnection(connectionRouting(null), { x: x1, y: y1 }, { x: x2, y: y2 }).d;
     detailActivePath.setAttribute('d', d);
 }
 
@@ -1198,14 +2019,18 @@ function renderDetailConnections(bucketId) {
     
     svgLayer.innerHTML = '';
     
-    const bucketPrefix = bucketId + ':';
-    const relevantConns = state.connections.filter(c => 
-        c.sourceId.startsWith(bucketPrefix) && c.targetId.startsWith(bucketPrefix)
-    );
+    // Links to other buckets end at ports beside the cards
+    const { internal, inbound, outbound } = partitionBucketConnections(state.connections, bucketId);
+    renderDetailPorts(inbound, outbound);
+    const external = new Set([...inbound, ...outbound]);
     
-    relevantConns.forEach((conn, index) => {
-        const sourceEl = document.querySelector(`.card-connector[data-conn-id="${conn.sourceId}"]`);
-        const targetEl = document.querySelector(`.card-connector[data-conn-id="${conn.targetId}"]`);
+    // Cycles are worked out over the whole workflow: a loop can leave the bucket and come back
+    const graph = createConnectionGraph(state.connections);
+    const obstacles = detailObstacles();
+
+    [...internal, ...inbound, ...outbound].forEach((conn, index) => {
+        const sourceEl = detailAnchor(conn.sourceId);
+        const targetEl = detailAnchor(conn.targetId);
         
         if (sourceEl && targetEl) {
             const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -1214,17 +2039,111 @@ function renderDetailConnections(bucketId) {
             
             const hue = (index * 137.508) % 360;
             path.style.stroke = `hsl(${hue}, 70%, 50%)`;
+            if (graph.isCycleConnection(conn)) path.classList.add('cycle');
+            if (external.has(conn)) path.classList.add('cross-bucket');
             
             svgLayer.appendChild(path);
-            updateDetailConnectionPath(path, sourceEl, targetEl);
+            updateDetailConnectionPath(path, sourceEl, targetEl, conn, obstacles);
             
             sourceEl.classList.add('connected');
             targetEl.classList.add('connected');
         }
     });
+
+    renderCycleMarkers(bucketId, graph);
+    renderDebugMarkers();
+    renderLineage();
+}
+
+// Where a connection ends on the detail board: a card's connector dot, or
+// the dot of the port standing in for a variable in another bucket
+function detailAnchor(endpoint) {
+    return document.querySelector(`#detail-board-wrapper .card-connector[data-conn-id="${endpoint}"], #detail-board-wrapper .port-connector[data-conn-id="${endpoint}"]`);
+}
+
+const DETAIL_PORT_GAP = 80;
+
+// Off-board ports: one box per other bucket, listing its variables that the
+// open bucket is connected to. Values arriving from other buckets come in
+// from the left, those leaving go out to the right. Clicking a variable
+// opens its bucket.
+function renderDetailPorts(inbound, outbound) {
+    const wrapper = document.getElementById('detail-board-wrapper');
+    if (!wrapper) return;
+    wrapper.querySelectorAll('.detail-port').forEach(port => port.remove());
+
+    const cards = [...wrapper.querySelectorAll('.detail-card')];
+    const lefts = cards.map(card => parseFloat(card.style.left) || 0);
+    const boardLeft = cards.length > 0 ? Math.min(...lefts) : 0;
+    const boardRight = cards.length > 0 ? Math.max(...cards.map((card, i) => lefts[i] + (card.offsetWidth || 320))) : 0;
+    const boardTop = cards.length > 0 ? Math.min(...cards.map(card => parseFloat(card.style.top) || 0)) : 0;
+
+    const place = (conns, side) => {
+        // remote bucket id -> its endpoints, in connection order
+        const remotes = new Map();
+        conns.forEach(conn => {
+            const endpoint = side === 'inbound' ? conn.sourceId : conn.targetId;
+            const bucketId = endpointBucket(endpoint);
+            if (!remotes.has(bucketId)) remotes.set(bucketId, new Set());
+            remotes.get(bucketId).add(endpoint);
+        });
+
+        let y = boardTop;
+        remotes.forEach((endpoints, bucketId) => {
+            const bucket = state.buckets.find(b => b.id === bucketId);
+            const bucketName = bucket ? bucket.label || bucket.id : 'a deleted bucket';
+
+            const port = document.createElement('div');
+            port.className = `detail-port ${side}`;
+            port.style.top = y + 'px';
+            const header = document.createElement('div');
+            header.className = 'detail-port-header';
+            header.textContent = side === 'inbound' ? `From ${bucketName}` : `To ${bucketName}`;
+            port.appendChild(header);
+
+            endpoints.forEach(endpoint => {
+                const resolved = resolveEndpoint(state, endpoint);
+                const row = document.createElement('div');
+                row.className = 'detail-port-row';
+                row.dataset.connId = endpoint;
+                row.title = resolved ? `Open ${bucketName}` : 'This variable was deleted';
+                row.innerHTML = '<span></span><div class="port-connector"></div>';
+                row.firstChild.textContent = resolved ? `${resolved.item.label} · ${resolved.variable.label}` : 'Deleted variable';
+                row.lastChild.dataset.connId = endpoint;
+                if (resolved) row.addEventListener('click', () => revealEndpoint(endpoint));
+                port.appendChild(row);
+            });
+
+            // Ports don't pan the board or start connections
+            port.addEventListener('mousedown', (e) => e.stopPropagation());
+            wrapper.appendChild(port);
+
+            const width = port.offsetWidth || 240;
+            port.style.left = (side === 'inbound' ? boardLeft - DETAIL_PORT_GAP - width : boardRight + DETAIL_PORT_GAP) + 'px';
+            y += port.offsetHeight + 16;
+        });
+    };
+    place(inbound, 'inbound');
+    place(outbound, 'outbound');
+}
+
+// Outlines the open bucket's cards that sit on a cycle
+function renderCycleMarkers(bucketId, graph) {
+    const inCycle = new Set();
+    graph.cycles().forEach(cycle => cycle.forEach(card => inCycle.add(card)));
+
+    document.querySelectorAll('#detail-board-wrapper .detail-card').forEach(card => {
+        const onCycle = inCycle.has(`${bucketId}:${card.id.replace('card-', '')}`);
+        card.classList.toggle('in-cycle', onCycle);
+        card.title = onCycle ? 'Part of a cycle: a run can loop forever' : '';
+    });
 }
 
-function updateDetailConnectionPath(pathEl, sourceEl, targetEl) {
+// The last route drawn for each detail path:
+// path -> { style, from, to, bounds, sourceEl, targetEl }
+let detailRoutes = new WeakMap();
+
+function updateDetailConnectionPath(pathEl, sourceEl, targetEl, conn, obstacles) {
     const wrapper = document.getElementById('detail-board-wrapper');
     const wrapperRect = wrapper.getBoundingClientRect();
 
@@ -1236,13 +2155,91 @@ function updateDetailConnectionPath(pathEl, sourceEl, targetEl) {
     const x2 = (r2.left - wrapperRect.left + r2.width/2) / currentTransform.scale;
     const y2 = (r2.top - wrapperRect.top + r2.height/2) / currentTransform.scale;
 
-    pathEl.setAttribute('d', getBezierPath(x1, y1, x2, y2));
+    const style = connectionRouting(conn);
+    const from = { x: x1, y: y1 };
+    const to = { x: x2, y: y2 };
+    const route = routeConnection(style, from, to, style === 'avoid' ? obstacles || detailObstacles() : []);
+    pathEl.setAttribute('d', route.d);
+    detailRoutes.set(pathEl, { style, from, to, bounds: route.bounds, sourceEl, targetEl });
+}
+
+// Cards and ports on the detail board, in board coordinates, for routes to avoid
+function detailObstacles() {
+    return [...document.querySelectorAll('#detail-board-wrapper .detail-card, #detail-board-wrapper .detail-port')].map(el => {
+        const left = parseFloat(el.style.left) || 0;
+        const top = parseFloat(el.style.top) || 0;
+        return { el, left, top, right: left + el.offsetWidth, bottom: top + el.offsetHeight };
+    });
+}
+
+// Rerouting while a card is dragged. Routes and obstacles are measured once
+// when the drag starts; each frame then only reroutes the connections
+// attached to the card and the avoiding routes it moved into or out of.
+let cardDragRouting = null;
+
+function beginCardDragRouting(card) {
+    const obstacles = detailObstacles();
+    const moving = obstacles.find(o => o.el === card);
+    const routes = [];
+    document.querySelectorAll('#detail-connection-layer .detail-connection-path:not(.preview)').forEach(path => {
+        const route = detailRoutes.get(path);
+        if (!route) return;
+        routes.push({
+            path,
+            ...route,
+            sourceMoves: card.contains(route.sourceEl),
+            targetMoves: card.contains(route.targetEl)
+        });
+    });
+    cardDragRouting = { card, obstacles, moving, start: { ...moving }, routes, frame: null };
+}
+
+function scheduleCardDragRouting() {
+    if (cardDragRouting.frame !== null) return;
+    cardDragRouting.frame = requestAnimationFrame(rerouteDraggedCard);
+}
+
+function rerouteDraggedCard() {
+    const drag = cardDragRouting;
+    if (!drag) return;
+    drag.frame = null;
+
+    const dx = (parseFloat(drag.card.style.left) || 0) - drag.start.left;
+    const dy = (parseFloat(drag.card.style.top) || 0) - drag.start.top;
+    const previous = { ...drag.moving };
+    Object.assign(drag.moving, {
+        left: drag.start.left + dx,
+        top: drag.start.top + dy,
+        right: drag.start.right + dx,
+        bottom: drag.start.bottom + dy
+    });
+
+    const shift = (point) => ({ x: point.x + dx, y: point.y + dy });
+    drag.routes.forEach(route => {
+        const attached = route.sourceMoves || route.targetMoves;
+        const inTheWay = route.style === 'avoid' &&
+            (routeNearObstacle(route.bounds, previous) || routeNearObstacle(route.bounds, drag.moving));
+        if (!attached && !inTheWay) return;
+
+        const from = route.sourceMoves ? shift(route.from) : route.from;
+        const to = route.targetMoves ? shift(route.to) : route.to;
+        const next = routeConnection(route.style, from, to, route.style === 'avoid' ? drag.obstacles : []);
+        route.path.setAttribute('d', next.d);
+        route.bounds = next.bounds;
+    });
+}
+
+function endCardDragRouting() {
+    if (!cardDragRouting) return;
+    if (cardDragRouting.frame !== null) cancelAnimationFrame(cardDragRouting.frame);
+    cardDragRouting = null;
 }
 
 function updateDetailLines() {
     if (!currentOpenBucketId) return;
     const svgLayer = document.getElementById('detail-connection-layer');
     if (!svgLayer) return;
+    const obstacles = detailObstacles();
     
     Array.from(svgLayer.children).forEach(path => {
          if (path.classList.contains('preview')) return; 
@@ -1250,10 +2247,10 @@ function updateDetailLines() {
          const connId = parseInt(path.dataset.id);
          const conn = state.connections.find(c => c.id === connId);
          if (conn) {
-            const sourceEl = document.querySelector(`.card-connector[data-conn-id="${conn.sourceId}"]`);
-            const targetEl = document.querySelector(`.card-connector[data-conn-id="${conn.targetId}"]`);
+            const sourceEl = detailAnchor(conn.sourceId);
+            const targetEl = detailAnchor(conn.targetId);
             if (sourceEl && targetEl) {
-                updateDetailConnectionPath(path, sourceEl, targetEl);
+                updateDetailConnectionPath(path, sourceEl, targetEl, conn, obstacles);
             }
          }
     });
@@ -1303,6 +2300,7 @@ function handleCardDragStart(e) {
     };
     
     card.style.zIndex = 1000;
+    beginCardDragRouting(card);
 }
 
 function handleCardDragMove(e) {
@@ -1329,7 +2327,8 @@ function handleCardDragMove(e) {
     if (el) {
         el.style.left = newX + 'px';
         el.style.top = newY + 'px';
-        updateDetailLines();
+        if (cardDragRouting) scheduleCardDragRouting();
+        else updateDetailLines();
     }
 }
 
@@ -1346,14 +2345,15 @@ function handleCardDragEnd(e) {
             const bucket = state.buckets.find(b => b.id === currentOpenBucketId);
             if (bucket) {
                 const item = bucket.items.find(i => i.instanceId === instanceId);
-                if (item) {
+                if (item && (item.x !== newX || item.y !== newY)) {
                     item.x = newX;
                     item.y = newY;
-                    actions.updateBucket(bucket.id, { items: bucket.items });
+                    actions.updateBucket(bucket.id, { items: bucket.items }, 'Moved card');
                 }
             }
         }
     }
+    endCardDragRouting();
     activeDragCardId = null;
 }
 
@@ -1389,26 +2389,26 @@ function renderBucket(bucket) {
         </div>
     `;
 
+    if (bucket.color) applyBucketColor(el, bucket.color);
+
     const foreground = document.createElement('div');
     foreground.className = 'bucket-foreground';
     el.appendChild(foreground);
 
     const header = document.createElement('div');
     header.className = 'bucket-header';
-    const bucketLabel = bucket.label || '';
-    
-    header.innerHTML = `
-        <h3 contenteditable="false" spellcheck="false">${bucketLabel}</h3>
-    `;
-    
-    const h3 = header.querySelector('h3');
+    const h3 = document.createElement('h3');
+    h3.contentEditable = 'false';
+    h3.spellcheck = false;
+    h3.textContent = bucket.label || '';
+    header.appendChild(h3);
     
     // Rename Logic is now handled by Context Menu which sets contentEditable=true
     // We just need to handle saving when blur occurs IF it was editable
     h3.addEventListener('blur', () => {
         if (h3.isContentEditable) {
             h3.contentEditable = false;
-            actions.updateBucket(bucket.id, { label: h3.innerText });
+            actions.updateBucket(bucket.id, { label: h3.innerText }, 'Renamed bucket');
         }
     });
     
@@ -1486,14 +2486,12 @@ function renderBucket(bucket) {
 
             const newItem = { ...data, instanceId: 'item-' + Date.now() };
             actions.addItemToBucket(bucket.id, newItem);
-            
-            // Only render if NOT app/hub
-            const dom = createBucketItemDOM(newItem, bucket.id);
-            if (dom) content.appendChild(dom);
         }
     });
 
-    bucketsContainer.appendChild(el);
+    const existing = document.getElementById(bucket.id);
+    if (existing) existing.replaceWith(el);
+    else bucketsContainer.appendChild(el);
 }
 
 function createBucketItemDOM(item, bucketId) {
@@ -1509,7 +2507,7 @@ function createBucketItemDOM(item, bucketId) {
     header.className = 'bucket-item-header';
     header.innerHTML = `
         <div style="flex:1; display:flex; align-items:center; gap:5px;">
-           <span>${item.label}</span>
+           <span class="bucket-item-label"></span>
         </div>
         <div class="item-actions">
            <span class="settings-btn" title="Settings">⚙️</span>
@@ -1517,6 +2515,8 @@ function createBucketItemDOM(item, bucketId) {
         </div>
     `;
     
+    header.querySelector('.bucket-item-label').textContent = item.label;
+    
     const settingsPanel = document.createElement('div');
     settingsPanel.className = 'item-settings hidden';
     settingsPanel.innerHTML = `
@@ -1538,8 +2538,7 @@ function createBucketItemDOM(item, bucketId) {
     header.querySelector('.delete-item-btn').addEventListener('click', (e) => {
         e.stopPropagation();
         if (confirm('Remove item?')) {
-             actions.removeItemFromBucket(bucketId, item.instanceId); 
-             el.remove();
+             deleteCard(item.instanceId, bucketId);
         }
     });
     
@@ -1554,8 +2553,10 @@ function createBucketItemDOM(item, bucketId) {
             vEl.className = 'variable';
             const uniqueId = `${bucketId}:${item.instanceId}:${v.id}`;
             vEl.dataset.connectionId = uniqueId;
+            vEl.title = describeVariableType(v, item);
             
-            vEl.innerHTML = `<span>${v.label}</span><div class="connector-dot"></div>`;
+            vEl.innerHTML = `<span></span><div class="connector-dot"></div>`;
+            vEl.firstChild.textContent = v.label;
             varList.appendChild(vEl);
         });
         el.appendChild(varList);
@@ -1604,11 +2605,79 @@ function handleBucketDragEnd() {
     if (activeDragBucketId) {
         const el = document.getElementById(activeDragBucketId);
         if (el) el.classList.remove('dragging');
+
+        // Record the drop as one history step (no-op if the bucket didn't move)
+        const bucketData = state.buckets.find(b => b.id === activeDragBucketId);
         activeDragBucketId = null;
+        if (bucketData) actions.updateBucket(bucketData.id, { x: bucketData.x, y: bucketData.y }, 'Moved bucket');
+    }
+}
+
+// Builds the Templates tree (one folder per category) from the connector registry
+function renderConnectorSidebar() {
+    const root = document.getElementById('connector-folders');
+    if (!root) return;
+    root.innerHTML = '';
+
+    // Custom items are added to "Web Apps" / "Hubs", so those always exist
+    const categories = ['Web Apps', 'Hubs'];
+    listConnectors().forEach(c => {
+        if (!categories.includes(c.category)) categories.push(c.category);
+    });
+
+    categories.forEach(category => {
+        const folder = createSidebarFolder(category, true);
+        root.appendChild(folder);
+        const children = folder.querySelector('.tree-children');
+
+        listConnectors().filter(c => c.category === category).forEach(connector => {
+            const item = createSidebarFolder(connector.label, false, connectorTemplate(connector));
+            item.dataset.connectorId = connector.id;
+            const variables = item.querySelector('.tree-children');
+
+            connector.variables.forEach(v => {
+                const varColor = v.type === 'trigger' ? 'var(--accent-cyan)' : 'var(--accent-purple)';
+                const row = document.createElement('div');
+                row.className = 'tree-item';
+                row.innerHTML = `
+                    <div class="tree-header" draggable="true">
+                        <span class="tree-icon dot" style="background:${varColor}"></span>
+                        <span></span>
+                    </div>
+                `;
+                const header = row.querySelector('.tree-header');
+                header.dataset.dragJson = JSON.stringify(connectorTemplate(connector, [v]));
+                header.lastElementChild.textContent = v.label;
+                variables.appendChild(row);
+            });
+
+            children.appendChild(item);
+        });
+    });
+}
+
+function createSidebarFolder(label, expanded, dragData) {
+    const folder = document.createElement('div');
+    folder.className = expanded ? 'tree-item expanded' : 'tree-item';
+    folder.innerHTML = `
+        <div class="tree-header" data-toggle="folder">
+            <span class="tree-icon arrow"><svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg></span>
+            <span></span>
+        </div>
+        <div class="tree-children"></div>
+    `;
+    const header = folder.querySelector('.tree-header');
+    header.lastElementChild.textContent = label;
+    if (dragData) {
+        header.draggable = true;
+        header.dataset.dragJson = JSON.stringify(dragData);
     }
+    return folder;
 }
 
 function initSidebar() {
+    renderConnectorSidebar();
+
     // Attach Listeners to existing HTML for folder toggling
     document.querySelectorAll('.tree-header[data-toggle="folder"]').forEach(folderHeader => {
         folderHeader.addEventListener('click', () => {
@@ -1669,134 +2738,945 @@ function showToast(message) {
  // ==========================================
  // 6. RUN SIMULATION
  // ==========================================
- 
 
- // ==========================================
- // 6. RUN SIMULATION
- // ==========================================
- 
+ // Real time one connection hop takes in the animation
+ const BEAD_HOP_MS = 600;
+ // Longer runs are compressed to fit
+ const MAX_RUN_ANIMATION_MS = 10000;
+
+ // Most recent run: { bucketId, startedAt, duration, trace, values, sample, trigger, stopped? }
+ let lastRun = null;
 
  function initRunSimulation() {
      const detailBtn = document.getElementById('detail-run-btn');
 
-     if (detailBtn) attachRunListener(detailBtn, 'detail');
+     if (detailBtn) attachRunListener(detailBtn);
+     initDebugger();
+     initInspectPanel();
+     initSampleEditor();
+     initRunsView();
+     initDevServerBridge();
+
+     // Every finished run (Run Flow or the debugger) goes into the bucket's run history
+     on('run:completed', run => actions.recordRun(run.bucketId, buildRunRecord(run)));
  }
 
- function attachRunListener(btn, context) {
-     btn.addEventListener('click', () => {
-         // Visual Feedback
-         const originalText = btn.innerHTML;
-         btn.innerHTML = '<span class="icon">⏳</span> Running...';
-         btn.style.pointerEvents = 'none';
-         btn.style.opacity = '0.7';
-         
-         // Logic to determine what to animate based on Context + State
-         let connectionCount = 0;
-         
-         if (context === 'detail' || (context === 'global' && currentOpenBucketId)) {
+ // "Shopify · New Order (Big order)" for a picked sample, otherwise the cards the run started from
+ function describeRunTrigger(bucketId, sample, entryKeys) {
+     if (sample) return `${sample.title} (${sample.name})`;
+     return entryKeys.map(key => describeEndpoint(`${key}:`)).join(', ');
+ }
 
-         
-         if (currentOpenBucketId) {
-             // DETAIL VIEW
-             const svgLayer = document.getElementById('detail-connection-layer');
-             const wrapper = document.getElementById('detail-board-wrapper');
-             
-             if (svgLayer && wrapper) {
-                 const visiblePaths = svgLayer.querySelectorAll('.detail-connection-path:not(.preview)');
-                 visiblePaths.forEach((path, index) => {
-                     connectionCount++;
-                     animateBead(path, index * 200, wrapper); 
-                 });
-             }
-         } else {
-             // GLOBAL VIEW
-             // Use the global connection layer and global container
-             const svgLayer = document.getElementById('connection-layer');
-             const container = document.getElementById('app-container'); // Or canvas?
-             // The global layer is absolute 0,0 of app-container.
-             
-             if (svgLayer && container) {
-                  const visiblePaths = svgLayer.querySelectorAll('.connection-path:not(.preview)');
-                  visiblePaths.forEach((path, index) => {
-                     connectionCount++;
-                     // Global paths might be long, let's speed up or keep same?
-                     animateBead(path, index * 100, container); 
-                  });
-             }
-         }
- 
+ // Compact, storable form of a run: the values that crossed each connection plus the outcome
+ function buildRunRecord(run) {
+     const errors = run.trace.filter(entry => entry.kind === 'error').map(entry => entry.note);
+     const hops = run.trace
+         .filter(entry => entry.kind === 'input' && entry.connectionId !== undefined)
+         .map(entry => {
+             const conn = state.connections.find(c => c.id === entry.connectionId);
+             return {
+                 connectionId: entry.connectionId,
+                 sourceId: conn ? conn.sourceId : null,
+                 targetId: entry.endpoint,
+                 time: entry.time,
+                 depth: entry.depth,
+                 value: entry.value === undefined ? null : entry.value
+             };
+         });
+     return {
+         id: `run-${run.startedAt}-${Math.floor(Math.random() * 1000)}`,
+         startedAt: run.startedAt,
+         duration: run.duration,
+         trigger: run.trigger || '',
+         status: run.stopped ? 'stopped' : errors.length > 0 ? 'error' : 'success',
+         hops,
+         errors
+     };
+ }
 
-         if (connectionCount === 0) {
-             showToast("No active connections to simulate.");
-             resetBtn();
-             return;
-         }
- 
-         // Reset Button after max duration
-         const maxDuration = 2000 + (connectionCount * 200);
-         setTimeout(() => {
-             resetBtn();
-             showToast("Simulation Complete!");
-         }, maxDuration);
- 
-         function resetBtn() {
-             btn.innerHTML = originalText;
-             btn.style.pointerEvents = '';
-             btn.style.opacity = '';
-         }
- }});
+ // Executes a bucket's flow; returns null when nothing starts it.
+ // With a sample ({ instanceId, varId, name, payload }) the run starts from that trigger only.
+ function runBucketFlow(bucketId, sample) {
+     const options = {
+         buckets: state.buckets,
+         connections: state.connections,
+         entryBucketId: bucketId
+     };
+     if (sample) {
+         const key = `${bucketId}:${sample.instanceId}`;
+         options.entries = [key];
+         options.payloads = { [key]: sample.payload };
+         options.triggers = { [key]: sample.varId };
+     }
+
+     const execution = createExecution(options);
+     if (execution.entries.length === 0) return null;
+
+     const startedAt = Date.now();
+     execution.runToEnd();
+     lastRun = {
+         bucketId,
+         startedAt,
+         duration: execution.clock,
+         trace: execution.trace,
+         values: Object.fromEntries(execution.values),
+         sample: sample ? sample.name : null,
+         trigger: describeRunTrigger(bucketId, sample, execution.entries)
+     };
+     emit('run:completed', lastRun);
+     return lastRun;
  }
 
- function animateBead(pathElement, delay, container) {
-     const pathData = pathElement.getAttribute('d');
-     if (!pathData) return;
- 
-     // Container fallback
-     if (!container) return;
- 
-     const bead = document.createElement('div');
-     bead.className = 'simulation-bead';
-     
-     // 1. CSS Motion Path
-     // We dynamically set the offset-path to the SVG path data
-     bead.style.offsetPath = `path('${pathData}')`;
-     bead.style.animation = `travel 1.5s ease-in-out forwards`;
-     bead.style.animationDelay = `${delay}ms`;
-     
-     // 2. Positioning
-     // The bead needs to be absolutely positioned within the SAME coordinate context as the path.
-     // For Detail View: 'wrapper' (transformed).
-     // For Global View: 'app-container'.
-     // 'offset-path' takes care of the movement along that coordinate system.
-     // However, we must ensure 'top:0; left:0;' is set so it starts at 0,0 of the container 
-     // and then the path moves it.
-     bead.style.top = '0';
-     bead.style.left = '0';
-     
-     container.appendChild(bead);
- 
-     // Cleanup
-     setTimeout(() => {
-         bead.remove();
-     }, 1500 + delay + 100);
+ // Sample payloads stored on the trigger variables of a bucket's cards
+ function listRunSamples(bucketId) {
+     const bucket = state.buckets.find(b => b.id === bucketId);
+     const samples = [];
+     if (!bucket) return samples;
+     bucket.items.forEach(item => (item.variables || []).forEach(v => {
+         if (v.type !== 'trigger' || !Array.isArray(v.samples)) return;
+         v.samples.forEach(sample => samples.push({
+             instanceId: item.instanceId,
+             varId: v.id,
+             name: sample.name,
+             payload: sample.payload,
+             title: `${item.label} · ${v.label}`
+         }));
+     }));
+     return samples;
  }
 
- window.addEventListener('DOMContentLoaded', initRunSimulation);
+ function attachRunListener(btn) {
+     btn.addEventListener('click', (e) => {
+         e.stopPropagation();
+         if (!currentOpenBucketId) return;
+         chooseRunSample(sample => startRun(btn, sample));
+     });
 
- // ==========================================
- // 7. MINIMAP & CONTEXT MENU
- // ==========================================
+     const debugBtn = document.getElementById('detail-debug-btn');
+     if (debugBtn) {
+         debugBtn.addEventListener('click', (e) => {
+             e.stopPropagation();
+             if (!currentOpenBucketId) return;
+             chooseRunSample(sample => startDebugSession(sample));
+         });
+     }
 
- window.addEventListener('DOMContentLoaded', () => {
-     initMinimap();
-     initContextMenu();
- });
+     const panel = document.getElementById('run-payload-panel');
+     document.addEventListener('click', (e) => {
+         if (panel && !panel.contains(e.target)) panel.classList.add('hidden');
+     });
+ }
 
- let minimapInterval;
+ // Calls back right away when the bucket has no sample payloads, otherwise lets the user pick one
+ function chooseRunSample(callback) {
+     const panel = document.getElementById('run-payload-panel');
+     const samples = listRunSamples(currentOpenBucketId);
+     if (samples.length === 0 || !panel) {
+         callback(undefined);
+         return;
+     }
 
- function initMinimap() {
-     const minimap = document.getElementById('minimap');
-     if (!minimap) return;
+     panel.innerHTML = '';
+     const addOption = (label, hint, sample) => {
+         const option = document.createElement('div');
+         option.className = 'export-option run-option';
+         option.innerHTML = `<span class="run-option-name"></span><span class="run-option-hint"></span>`;
+         option.firstElementChild.textContent = label;
+         option.lastElementChild.textContent = hint;
+         option.addEventListener('click', (ev) => {
+             ev.stopPropagation();
+             panel.classList.add('hidden');
+             callback(sample);
+         });
+         panel.appendChild(option);
+     };
+     samples.forEach(sample => addOption(sample.name, sample.title, sample));
+     addOption('No sample data', 'Placeholder values', undefined);
+     panel.classList.remove('hidden');
+ }
+
+ function startRun(btn, sample) {
+     stopDebugSession();
+     const run = runBucketFlow(currentOpenBucketId, sample);
+     if (!run) {
+         showToast("Nothing to run: connect a trigger first.");
+         return;
+     }
+
+     // Visual Feedback
+     const originalText = btn.innerHTML;
+     btn.innerHTML = '<span class="icon">⏳</span> Running...';
+     btn.style.pointerEvents = 'none';
+     btn.style.opacity = '0.7';
+
+     const animationTime = playRunTrace(run.trace);
+     const errors = run.trace.filter(entry => entry.kind === 'error');
+
+     setTimeout(() => {
+         btn.innerHTML = originalText;
+         btn.style.pointerEvents = '';
+         btn.style.opacity = '';
+         renderRunValues();
+         const steps = run.trace.filter(entry => entry.kind === 'input').length;
+         let message = `Run complete: ${steps} hop(s), ${run.duration} ms simulated.`;
+         if (errors.length > 0) message += ` ${errors.length} error(s): ${errors[0].note}`;
+         showToast(message);
+     }, animationTime + 100);
+ }
+
+ // Short, single-line rendering of a run value for the card rows
+ function formatValuePreview(value) {
+     const text = typeof value === 'string' ? value : JSON.stringify(value);
+     if (text === undefined) return String(value);
+     return text.length > 24 ? text.slice(0, 23) + '…' : text;
+ }
+
+ // Shows the last run's values on the open detail board's variable rows
+ function renderRunValues() {
+     document.querySelectorAll('#detail-board-wrapper .card-variable-row[data-conn-id]').forEach(row => {
+         const endpoint = row.dataset.connId;
+         let chip = row.querySelector('.var-value');
+         const hasValue = lastRun && lastRun.bucketId === currentOpenBucketId &&
+             Object.prototype.hasOwnProperty.call(lastRun.values, endpoint);
+
+         if (!hasValue && !(debugSession && debugSession.bucketId === currentOpenBucketId)) {
+             if (chip) chip.remove();
+             return;
+         }
+         if (!chip) {
+             chip = document.createElement('span');
+             chip.className = 'var-value';
+             chip.title = 'Inspect value';
+             chip.addEventListener('click', (e) => {
+                 e.stopPropagation();
+                 openInspectPanel(endpoint);
+             });
+             row.insertBefore(chip, row.querySelector('.card-connector'));
+         }
+         chip.classList.toggle('pending', !hasValue);
+         chip.textContent = hasValue ? formatValuePreview(lastRun.values[endpoint]) : '—';
+     });
+
+     const panel = document.getElementById('inspect-panel');
+     if (panel && !panel.classList.contains('hidden') && panel.dataset.endpoint) {
+         openInspectPanel(panel.dataset.endpoint);
+     }
+ }
+
+ function initInspectPanel() {
+     const panel = document.getElementById('inspect-panel');
+     if (!panel) return;
+     document.getElementById('close-inspect-btn').addEventListener('click', () => panel.classList.add('hidden'));
+ }
+
+ // Side panel with the full value of one variable and every time the last run touched it
+ function openInspectPanel(endpoint) {
+     const panel = document.getElementById('inspect-panel');
+     const body = document.getElementById('inspect-body');
+     if (!panel || !body || !lastRun) return;
+
+     panel.dataset.endpoint = endpoint;
+     document.getElementById('inspect-title').textContent = describeEndpoint(endpoint);
+     body.innerHTML = '';
+
+     const meta = document.createElement('p');
+     meta.className = 'inspect-meta';
+     meta.textContent = lastRun.sample
+         ? `Run with "${lastRun.sample}" at ${new Date(lastRun.startedAt).toLocaleTimeString()}`
+         : `Run at ${new Date(lastRun.startedAt).toLocaleTimeString()}`;
+     body.appendChild(meta);
+
+     const value = document.createElement('pre');
+     value.className = 'inspect-value';
+     value.textContent = Object.prototype.hasOwnProperty.call(lastRun.values, endpoint)
+         ? JSON.stringify(lastRun.values[endpoint], null, 2)
+         : 'No value reached this variable.';
+     body.appendChild(value);
+
+     lastRun.trace.filter(entry => entry.endpoint === endpoint).forEach(entry => {
+         const row = document.createElement('div');
+         row.className = 'inspect-event';
+         const source = entry.kind === 'input' && entry.connectionId !== undefined
+             ? state.connections.find(c => c.id === entry.connectionId)
+             : null;
+         row.textContent = entry.kind === 'input'
+             ? `${entry.time} ms · received${source ? ' from ' + describeEndpoint(source.sourceId) : ''}`
+             : `${entry.time} ms · sent`;
+         body.appendChild(row);
+     });
+
+     showSidePanel(panel);
+ }
+
+ // --- Step debugger ---
+
+ // { bucketId, execution, sample, startedAt } while the detail view is debugging a run
+ let debugSession = null;
+ // Breakpoints live for the editing session only: "card:<bucketId>:<instanceId>" / "conn:<connectionId>"
+ const debugBreakpoints = new Set();
+
+ function initDebugger() {
+     const actionsById = {
+         'debug-step-btn': debugStep,
+         'debug-continue-btn': debugContinue,
+         'debug-stop-btn': debugStop
+     };
+     Object.keys(actionsById).forEach(id => {
+         const btn = document.getElementById(id);
+         if (btn) btn.addEventListener('click', (e) => {
+             e.stopPropagation();
+             actionsById[id]();
+         });
+     });
+
+     // F10 steps, F8 continues
+     document.addEventListener('keydown', (e) => {
+         if (!debugSession) return;
+         if (e.key === 'F10') {
+             e.preventDefault();
+             debugStep();
+         } else if (e.key === 'F8') {
+             e.preventDefault();
+             debugContinue();
+         }
+     });
+
+     // Edits made mid-run (undo, another tab of the editor) invalidate the paused run
+     on('reset', stopDebugSession);
+ }
+
+ function startDebugSession(sample) {
+     stopDebugSession();
+     const bucketId = currentOpenBucketId;
+     const options = { buckets: state.buckets, connections: state.connections, entryBucketId: bucketId };
+     if (sample) {
+         const key = `${bucketId}:${sample.instanceId}`;
+         options.entries = [key];
+         options.payloads = { [key]: sample.payload };
+         options.triggers = { [key]: sample.varId };
+     }
+
+     const execution = createExecution(options);
+     if (execution.entries.length === 0) {
+         showToast("Nothing to run: connect a trigger first.");
+         return;
+     }
+
+     debugSession = {
+         bucketId,
+         execution,
+         sample,
+         startedAt: Date.now(),
+         trigger: describeRunTrigger(bucketId, sample, execution.entries)
+     };
+     document.getElementById('debug-toolbar').classList.remove('hidden');
+     syncDebugRun();
+     debugPauseIfNeeded();
+ }
+
+ function stopDebugSession() {
+     if (!debugSession) return;
+     debugSession = null;
+     const toolbar = document.getElementById('debug-toolbar');
+     if (toolbar) toolbar.classList.add('hidden');
+     renderRunValues();
+     renderDebugMarkers();
+ }
+
+ // Stop button: the partial run still goes into the run history
+ function debugStop() {
+     if (!debugSession) return;
+     const run = { ...lastRun, stopped: true };
+     stopDebugSession();
+     if (run.trace.length > 0) emit('run:completed', run);
+ }
+
+ // Mirrors the paused execution into lastRun so the row values and the inspector show it
+ function syncDebugRun() {
+     const { bucketId, execution, sample, startedAt, trigger } = debugSession;
+     lastRun = {
+         bucketId,
+         startedAt,
+         duration: execution.clock,
+         trace: execution.trace,
+         values: Object.fromEntries(execution.values),
+         sample: sample ? sample.name : null,
+         trigger
+     };
+     renderRunValues();
+     renderDebugMarkers();
+     renderDebugStatus();
+ }
+
+ // Runs the engine until it has produced a visible step; returns the new trace entries
+ function advanceDebugExecution() {
+     const { execution } = debugSession;
+     const before = execution.trace.length;
+     while (!execution.done && execution.trace.length === before) execution.step();
+     return execution.trace.slice(before);
+ }
+
+ function isBreakpointEvent(event) {
+     if (!event) return false;
+     if (event.kind === 'input' && debugBreakpoints.has(`conn:${event.connectionId}`)) return true;
+     return (event.kind === 'input' || event.kind === 'start') && debugBreakpoints.has(`card:${event.itemKey}`);
+ }
+
+ // Entry cards with a breakpoint pause before they start; otherwise stop at the first step
+ function debugPauseIfNeeded() {
+     if (!debugSession) return;
+     if (!isBreakpointEvent(debugSession.execution.peek())) debugStep();
+ }
+
+ function debugStep() {
+     if (!debugSession || debugSession.bucketId !== currentOpenBucketId) return stopDebugSession();
+     const entries = advanceDebugExecution();
+     playRunTrace(entries);
+     finishDebugStep();
+ }
+
+ function debugContinue() {
+     if (!debugSession || debugSession.bucketId !== currentOpenBucketId) return stopDebugSession();
+     const { execution } = debugSession;
+     const before = execution.trace.length;
+     // Step over the breakpoint we are paused on, then run to the next one
+     advanceDebugExecution();
+     while (!execution.done && !isBreakpointEvent(execution.peek())) execution.step();
+     playRunTrace(execution.trace.slice(before));
+     finishDebugStep();
+ }
+
+ function finishDebugStep() {
+     const { execution } = debugSession;
+     syncDebugRun();
+     if (!execution.done) return;
+
+     const run = lastRun;
+     const errors = run.trace.filter(entry => entry.kind === 'error');
+     const steps = run.trace.filter(entry => entry.kind === 'input').length;
+     stopDebugSession();
+     emit('run:completed', run);
+     let message = `Debug run finished: ${steps} hop(s), ${run.duration} ms simulated.`;
+     if (errors.length > 0) message += ` ${errors.length} error(s): ${errors[0].note}`;
+     showToast(message);
+ }
+
+ function renderDebugStatus() {
+     const status = document.getElementById('debug-status');
+     if (!status || !debugSession) return;
+     const next = debugSession.execution.peek();
+     if (!next) {
+         status.textContent = 'Finished';
+         return;
+     }
+     const where = next.endpoint ? describeEndpoint(next.endpoint) : describeEndpoint(`${next.itemKey}:`);
+     const what = next.kind === 'input' ? 'receives' : next.kind === 'output' ? 'sends' : 'starts';
+     status.textContent = `${isBreakpointEvent(next) ? '● ' : ''}Next: ${where} ${what} · ${next.time} ms`;
+ }
+
+ // Breakpoint and "executing now" classes on the open board
+ function renderDebugMarkers() {
+     if (!currentOpenBucketId) return;
+     const next = debugSession && debugSession.bucketId === currentOpenBucketId ? debugSession.execution.peek() : null;
+
+     document.querySelectorAll('#detail-board-wrapper .detail-card').forEach(card => {
+         const instanceId = card.id.replace('card-', '');
+         card.classList.toggle('has-breakpoint', debugBreakpoints.has(`card:${currentOpenBucketId}:${instanceId}`));
+         card.classList.toggle('debug-current', !!next && next.itemKey === `${currentOpenBucketId}:${instanceId}`);
+     });
+     document.querySelectorAll('#detail-connection-layer .detail-connection-path:not(.preview)').forEach(path => {
+         path.classList.toggle('has-breakpoint', debugBreakpoints.has(`conn:${path.dataset.id}`));
+         path.classList.toggle('debug-next', !!next && next.kind === 'input' && String(next.connectionId) === path.dataset.id);
+     });
+ }
+
+ function toggleBreakpoint(key) {
+     if (debugBreakpoints.has(key)) debugBreakpoints.delete(key);
+     else debugBreakpoints.add(key);
+     renderDebugMarkers();
+     if (debugSession) renderDebugStatus();
+ }
+
+ // --- Runs tab (bucket run history) ---
+
+ let selectedRunId = null;
+ let compareRunId = null;
+
+ function initRunsView() {
+     document.querySelectorAll('.detail-tab').forEach(tab => {
+         tab.addEventListener('click', () => showDetailTab(tab.dataset.tab));
+     });
+
+     on('runs:updated', ({ bucketId }) => {
+         if (bucketId !== currentOpenBucketId) return;
+         updateRunsCount();
+         if (!document.getElementById('runs-view').classList.contains('hidden')) renderRunsView();
+     });
+ }
+
+ function showDetailTab(tab) {
+     document.querySelectorAll('.detail-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
+     document.getElementById('detail-cards-container').classList.toggle('hidden', tab !== 'board');
+     document.getElementById('runs-view').classList.toggle('hidden', tab !== 'runs');
+     updateRunsCount();
+     if (tab === 'runs') {
+         stopDebugSession();
+         renderRunsView();
+     }
+ }
+
+ function getBucketRuns(bucketId) {
+     const bucket = state.buckets.find(b => b.id === bucketId);
+     return bucket && Array.isArray(bucket.runs) ? bucket.runs : [];
+ }
+
+ function updateRunsCount() {
+     const count = document.getElementById('runs-count');
+     if (count) count.textContent = currentOpenBucketId ? String(getBucketRuns(currentOpenBucketId).length || '') : '';
+ }
+
+ function describeHop(hop) {
+     const source = hop.sourceId ? describeEndpoint(hop.sourceId) : '?';
+     return `${source} → ${describeEndpoint(hop.targetId)}`;
+ }
+
+ function renderRunsView() {
+     const list = document.getElementById('runs-list');
+     const detail = document.getElementById('run-detail');
+     if (!list || !detail) return;
+
+     const runs = getBucketRuns(currentOpenBucketId).slice().reverse();
+     if (!runs.some(r => r.id === selectedRunId)) selectedRunId = runs.length > 0 ? runs[0].id : null;
+     if (compareRunId === selectedRunId || !runs.some(r => r.id === compareRunId)) compareRunId = null;
+
+     list.innerHTML = '';
+     if (runs.length === 0) {
+         list.innerHTML = '<div class="runs-empty">No runs yet. Use Run Flow or Debug on the board.</div>';
+     }
+     runs.forEach(run => {
+         const row = document.createElement('div');
+         row.className = 'run-entry';
+         if (run.id === selectedRunId) row.classList.add('selected');
+         if (run.id === compareRunId) row.classList.add('compared');
+         row.innerHTML = `
+             <span class="run-status"></span>
+             <span class="run-entry-main">
+                 <span class="run-entry-time"></span>
+                 <span class="run-entry-trigger"></span>
+             </span>
+             <span class="run-entry-duration"></span>
+         `;
+         const status = row.querySelector('.run-status');
+         if (RUN_STATUSES.includes(run.status)) status.classList.add(run.status);
+         status.title = run.status;
+         row.querySelector('.run-entry-time').textContent = new Date(run.startedAt).toLocaleString();
+         row.querySelector('.run-entry-trigger').textContent = run.trigger;
+         row.querySelector('.run-entry-duration').textContent = `${run.duration} ms`;
+         row.addEventListener('click', () => {
+             selectedRunId = run.id;
+             renderRunsView();
+         });
+         list.appendChild(row);
+     });
+
+     if (runs.length > 0) {
+         const clear = document.createElement('button');
+         clear.className = 'btn-text-accent runs-clear-btn';
+         clear.textContent = 'Clear run history';
+         clear.addEventListener('click', () => {
+             if (confirm('Delete every recorded run of this bucket?')) actions.clearRuns(currentOpenBucketId);
+         });
+         list.appendChild(clear);
+     }
+
+     detail.innerHTML = '';
+     const run = runs.find(r => r.id === selectedRunId);
+     if (!run) return;
+
+     const header = document.createElement('div');
+     header.className = 'run-detail-header';
+     header.innerHTML = `
+         <div>
+             <h3 class="run-detail-title"></h3>
+             <p class="run-detail-meta"></p>
+         </div>
+         <div class="run-detail-actions">
+             <select class="run-compare-select"><option value="">Compare with…</option></select>
+             <button class="btn-primary run-replay-btn">▶ Replay</button>
+         </div>
+     `;
+     header.querySelector('.run-detail-title').textContent = `${run.status === 'success' ? 'Succeeded' : run.status === 'error' ? 'Failed' : 'Stopped'} · ${run.trigger}`;
+     header.querySelector('.run-detail-meta').textContent =
+         `${new Date(run.startedAt).toLocaleString()} · ${run.duration} ms simulated · ${run.hops.length} hop(s)`;
+
+     const select = header.querySelector('.run-compare-select');
+     runs.filter(r => r.id !== run.id).forEach(other => {
+         select.add(new Option(`${new Date(other.startedAt).toLocaleString()} · ${other.trigger}`, other.id));
+     });
+     select.value = compareRunId || '';
+     select.addEventListener('change', () => {
+         compareRunId = select.value || null;
+         renderRunsView();
+     });
+     header.querySelector('.run-replay-btn').addEventListener('click', () => replayRun(run));
+     detail.appendChild(header);
+
+     run.errors.forEach(note => {
+         const error = document.createElement('div');
+         error.className = 'run-error';
+         error.textContent = note;
+         detail.appendChild(error);
+     });
+
+     const compared = runs.find(r => r.id === compareRunId);
+     detail.appendChild(compared ? renderRunDiff(run, compared) : renderRunHops(run));
+ }
+
+ function renderRunHops(run) {
+     const table = document.createElement('table');
+     table.className = 'run-table';
+     table.innerHTML = '<thead><tr><th>Time</th><th>Connection</th><th>Value</th></tr></thead><tbody></tbody>';
+     const body = table.querySelector('tbody');
+     run.hops.forEach(hop => {
+         const row = body.insertRow();
+         row.insertCell().textContent = `${hop.time} ms`;
+         row.insertCell().textContent = describeHop(hop);
+         row.insertCell().textContent = JSON.stringify(hop.value);
+     });
+     if (run.hops.length === 0) body.insertRow().insertCell().textContent = 'No values crossed a connection.';
+     return table;
+ }
+
+ // Per-connection comparison of the last value each run sent across it
+ function renderRunDiff(run, other) {
+     const lastValues = (r) => {
+         const values = new Map();
+         r.hops.forEach(hop => values.set(String(hop.connectionId), hop));
+         return values;
+     };
+     const mine = lastValues(run);
+     const theirs = lastValues(other);
+     const ids = Array.from(new Set([...mine.keys(), ...theirs.keys()]));
+
+     const table = document.createElement('table');
+     table.className = 'run-table run-diff';
+     table.innerHTML = '<thead><tr><th>Connection</th><th>This run</th><th>Compared run</th></tr></thead><tbody></tbody>';
+     const body = table.querySelector('tbody');
+     ids.forEach(id => {
+         const a = mine.get(id);
+         const b = theirs.get(id);
+         const row = body.insertRow();
+         row.className = !a ? 'diff-removed' : !b ? 'diff-added'
+             : JSON.stringify(a.value) === JSON.stringify(b.value) ? 'diff-same' : 'diff-changed';
+         row.insertCell().textContent = describeHop(a || b);
+         row.insertCell().textContent = a ? JSON.stringify(a.value) : '—';
+         row.insertCell().textContent = b ? JSON.stringify(b.value) : '—';
+     });
+     if (ids.length === 0) body.insertRow().insertCell().textContent = 'Neither run sent anything across a connection.';
+     return table;
+ }
+
+ // Plays a recorded run on the board and shows its values on the rows
+ function replayRun(run) {
+     stopDebugSession();
+     showDetailTab('board');
+
+     const values = {};
+     run.hops.forEach(hop => {
+         if (hop.sourceId) values[hop.sourceId] = hop.value;
+         values[hop.targetId] = hop.value;
+     });
+     const trace = run.hops.map(hop => ({ kind: 'input', endpoint: hop.targetId, connectionId: hop.connectionId, time: hop.time, depth: hop.depth, value: hop.value }));
+     lastRun = { bucketId: currentOpenBucketId, startedAt: run.startedAt, duration: run.duration, trace, values, sample: null, trigger: run.trigger };
+
+     renderRunValues();
+     const animationTime = playRunTrace(trace);
+     setTimeout(() => showToast(`Replayed run from ${new Date(run.startedAt).toLocaleTimeString()}.`), animationTime + 100);
+ }
+
+ // --- Sample payload editor (trigger rows) ---
+
+ let sampleEditorTarget = null; // { bucketId, instanceId, varId }
+
+ function initSampleEditor() {
+     const modal = document.getElementById('sample-modal');
+     if (!modal) return;
+
+     const close = () => {
+         modal.classList.add('hidden');
+         sampleEditorTarget = null;
+     };
+     document.getElementById('close-sample-btn').addEventListener('click', close);
+     document.getElementById('cancel-sample-btn').addEventListener('click', close);
+     document.getElementById('add-sample-btn').addEventListener('click', () => addSampleRow());
+
+     document.getElementById('save-sample-btn').addEventListener('click', () => {
+         if (!sampleEditorTarget) return;
+         const errorEl = document.getElementById('sample-error');
+         const samples = [];
+         let error = null;
+
+         document.querySelectorAll('#sample-rows-container .sample-form-row').forEach((row, index) => {
+             const name = row.querySelector('.sample-name-input').value.trim() || `Sample ${index + 1}`;
+             const text = row.querySelector('.sample-json-input').value.trim();
+             try {
+                 samples.push({ name, payload: text ? JSON.parse(text) : {} });
+                 row.classList.remove('invalid');
+             } catch (e) {
+                 row.classList.add('invalid');
+                 if (!error) error = `"${name}" is not valid JSON: ${e.message}`;
+             }
+         });
+
+         if (error) {
+             errorEl.textContent = error;
+             errorEl.classList.remove('hidden');
+             return;
+         }
+
+         const { bucketId, instanceId, varId } = sampleEditorTarget;
+         const bucket = state.buckets.find(b => b.id === bucketId);
+         if (bucket) {
+             const items = bucket.items.map(item => {
+                 if (item.instanceId !== instanceId) return item;
+                 const variables = item.variables.map(v => {
+                     if (v.id !== varId) return v;
+                     const next = { ...v, samples };
+                     if (samples.length === 0) delete next.samples;
+                     return next;
+                 });
+                 return { ...item, variables };
+             });
+             actions.updateBucket(bucketId, { items }, `Edited samples for "${describeEndpoint(`${bucketId}:${instanceId}:${varId}`)}"`);
+         }
+         close();
+     });
+ }
+
+ function openSampleEditor(bucketId, instanceId, varId) {
+     const bucket = state.buckets.find(b => b.id === bucketId);
+     const item = bucket && bucket.items.find(i => i.instanceId === instanceId);
+     const variable = item && item.variables.find(v => v.id === varId);
+     if (!variable) return;
+
+     sampleEditorTarget = { bucketId, instanceId, varId };
+     document.getElementById('sample-modal-title').textContent = `${item.label} · ${variable.label} Samples`;
+     document.getElementById('sample-error').classList.add('hidden');
+     document.getElementById('sample-rows-container').innerHTML = '';
+
+     const samples = variable.samples || [];
+     if (samples.length === 0) addSampleRow();
+     else samples.forEach(sample => addSampleRow(sample));
+
+     document.getElementById('sample-modal').classList.remove('hidden');
+ }
+
+ function addSampleRow(sample = { name: '', payload: {} }) {
+     const container = document.getElementById('sample-rows-container');
+     const row = document.createElement('div');
+     row.className = 'sample-form-row';
+     row.innerHTML = `
+         <div class="variable-form-row">
+             <input type="text" placeholder="Sample Name" class="sample-name-input">
+             <button class="btn-row-delete" title="Remove">×</button>
+         </div>
+         <textarea class="sample-json-input" rows="6" spellcheck="false"></textarea>
+     `;
+     row.querySelector('.sample-name-input').value = sample.name;
+     row.querySelector('.sample-json-input').value = JSON.stringify(sample.payload, null, 2);
+     row.querySelector('.btn-row-delete').addEventListener('click', () => row.remove());
+     container.appendChild(row);
+ }
+
+ // Set while connected to dev-server.js, which then keeps time for the Scheduler cards
+ let devServerEditorId = null;
+
+ // Where dev-server.js accepts requests for a Webhook card
+ function webhookUrl(bucketId, instanceId) {
+     const origin = location.protocol.startsWith('http') ? location.origin : 'http://localhost:8080';
+     return `${origin}/hooks/${encodeURIComponent(bucketId)}/${encodeURIComponent(instanceId)}`;
+ }
+
+ function copyWebhookUrl(bucketId, instanceId) {
+     const url = webhookUrl(bucketId, instanceId);
+     const done = () => showToast(`Copied ${url}`);
+     if (navigator.clipboard) {
+         navigator.clipboard.writeText(url).then(done, () => showToast(url));
+     } else {
+         showToast(url);
+     }
+ }
+
+ // Webhooks received by the dev server (node dev-server.js) arrive over /events.
+ // Opened from disk or another server there is no stream and nothing happens.
+ function initDevServerBridge() {
+     if (!location.protocol.startsWith('http') || typeof EventSource === 'undefined') return;
+
+     const source = new EventSource('/events');
+     let connected = false;
+     source.addEventListener('open', () => { connected = true; });
+     source.addEventListener('error', () => {
+         // EventSource reconnects on its own once it has worked; without a dev server stop asking
+         if (!connected) source.close();
+         if (devServerEditorId) {
+             devServerEditorId = null;
+             // The server fired everything up to now
+             scheduleCursor = Date.now();
+             syncSchedules();
+         }
+     });
+     source.addEventListener('hello', (e) => {
+         devServerEditorId = JSON.parse(e.data).editorId;
+         storageReady.then(() => syncSchedules());
+     });
+     source.addEventListener('schedule', (e) => {
+         const firing = JSON.parse(e.data);
+         storageReady.then(() => fireSchedule(firing.bucketId, firing.instanceId, firing.scheduledFor, 'dev server'));
+     });
+     source.addEventListener('webhook', (e) => {
+         let delivery;
+         try {
+             delivery = JSON.parse(e.data);
+         } catch (err) {
+             return;
+         }
+         storageReady.then(() => {
+             const result = handleWebhookDelivery(delivery);
+             fetch(`/hooks-results/${encodeURIComponent(delivery.deliveryId)}`, {
+                 method: 'POST',
+                 headers: { 'Content-Type': 'application/json' },
+                 body: JSON.stringify(result)
+             }).catch(() => {});
+         });
+     });
+ }
+
+ // Runs the bucket's flow from a Webhook card with the request as payload.
+ // Returns what the dev server answers the caller with.
+ function handleWebhookDelivery(delivery) {
+     const bucket = state.buckets.find(b => b.id === delivery.bucketId);
+     const item = bucket && bucket.items.find(i => i.instanceId === delivery.instanceId);
+     if (!item) {
+         return { ok: false, error: `No card "${delivery.instanceId}" in bucket "${delivery.bucketId}" of the open workflow.` };
+     }
+     const connector = getItemConnector(item);
+     if (!connector || connector.id !== 'hub-webhook') {
+         return { ok: false, error: `"${item.label}" is not a Webhook card.` };
+     }
+     if (debugSession && debugSession.bucketId === bucket.id) {
+         return { ok: false, error: `"${bucket.label || bucket.id}" is being debugged; stop the debugger first.` };
+     }
+
+     const run = runBucketFlow(bucket.id, {
+         instanceId: item.instanceId,
+         varId: null,
+         name: `${delivery.method || 'POST'} request`,
+         payload: { payload: delivery.body, headers: delivery.headers || {} },
+         title: item.label
+     });
+     const errors = run.trace.filter(entry => entry.kind === 'error').map(entry => entry.note);
+
+     playRunIfOpen(run);
+     showToast(`Webhook received: ran "${bucket.label || bucket.id}"${errors.length > 0 ? ` with ${errors.length} error(s)` : ''}.`);
+
+     return {
+         ok: true,
+         run: {
+             status: errors.length > 0 ? 'error' : 'success',
+             duration: run.duration,
+             hops: run.trace.filter(entry => entry.kind === 'input').length,
+             errors,
+             values: run.values
+         }
+     };
+ }
+
+ // Shows a run that did not start from the Run button (webhooks, schedules) when its bucket is open
+ function playRunIfOpen(run) {
+     if (currentOpenBucketId !== run.bucketId) return;
+     const animationTime = playRunTrace(run.trace);
+     setTimeout(renderRunValues, animationTime + 100);
+ }
+
+ // Sends a bead down each connection in the order and at the time the run used it.
+ // Returns how long the animation takes.
+ function playRunTrace(trace) {
+     const svgLayer = document.getElementById('detail-connection-layer');
+     const wrapper = document.getElementById('detail-board-wrapper');
+     if (!svgLayer || !wrapper) return 0;
+
+     const paths = new Map();
+     svgLayer.querySelectorAll('.detail-connection-path:not(.preview)').forEach(path => {
+         paths.set(String(path.dataset.id), path);
+     });
+
+     const hops = trace
+         .filter(entry => entry.kind === 'input' && entry.connectionId !== undefined)
+         .map(entry => ({
+             path: paths.get(String(entry.connectionId)),
+             start: entry.time + (entry.depth - 1) * BEAD_HOP_MS
+         }))
+         .filter(hop => hop.path);
+     if (hops.length === 0) return 0;
+
+     // Replaying part of a run (the debugger) starts at its first hop
+     const first = Math.min(...hops.map(hop => hop.start));
+     hops.forEach(hop => { hop.start -= first; });
+
+     const end = Math.max(...hops.map(hop => hop.start)) + BEAD_HOP_MS;
+     const scale = Math.min(1, MAX_RUN_ANIMATION_MS / end);
+     hops.forEach(hop => {
+         animateBead(hop.path, hop.start * scale, wrapper, BEAD_HOP_MS * scale);
+     });
+     return end * scale;
+ }
+
+ function animateBead(pathElement, delay, container, duration = 1500) {
+     const pathData = pathElement.getAttribute('d');
+     if (!pathData) return;
+
+     // Container fallback
+     if (!container) return;
+ 
+     const bead = document.createElement('div');
+     bead.className = 'simulation-bead';
+     
+     // 1. CSS Motion Path
+     // We dynamically set the offset-path to the SVG path data
+     bead.style.offsetPath = `path('${pathData}')`;
+     bead.style.animation = `travel ${duration}ms ease-in-out forwards`;
+     bead.style.animationDelay = `${delay}ms`;
+     
+     // 2. Positioning
+     // The bead needs to be absolutely positioned within the SAME coordinate context as the path
+     // (the transformed detail wrapper); 'offset-path' moves it from 0,0 of that container.
+     bead.style.top = '0';
+     bead.style.left = '0';
+     
+     container.appendChild(bead);
+ 
+     // Cleanup
+     setTimeout(() => {
+         bead.remove();
+     }, duration + delay + 100);
+ }
+
+ window.addEventListener('DOMContentLoaded', initRunSimulation);
+
+ // ==========================================
+ // 7. MINIMAP & CONTEXT MENU
+ // ==========================================
+
+ window.addEventListener('DOMContentLoaded', () => {
+     initMinimap();
+     initContextMenu();
+ });
+
+ let minimapInterval;
+
+ function initMinimap() {
+     const minimap = document.getElementById('minimap');
+     if (!minimap) return;
 
      // Update loop (efficient enough for demo)
      minimapInterval = setInterval(renderMinimap, 100);
@@ -1924,11 +3804,9 @@ function disconnectPoint(connId) {
     
     if (toRemove.length === 0) return;
 
-    toRemove.forEach(c => {
-        actions.removeConnection(c.id);
+    actions.transaction('Disconnected variable', () => {
+        toRemove.forEach(c => actions.removeConnection(c.id));
     });
-    
-    renderDetailConnections(currentOpenBucketId);
 }
 
 // --- Context Menu ---
@@ -1947,7 +3825,16 @@ function disconnectPoint(connId) {
          
          let items = [];
          
-         if (targetConnector) {
+         const targetPath = e.target.closest('#detail-connection-layer .detail-connection-path:not(.preview)');
+
+         if (targetPath) {
+             const connectionKey = `conn:${targetPath.dataset.id}`;
+             items = [
+                 { label: debugBreakpoints.has(connectionKey) ? 'Remove Breakpoint' : 'Add Breakpoint', icon: '●', action: () => toggleBreakpoint(connectionKey) },
+                 { separator: true },
+                 ...connectionRoutingMenuItems(Number(targetPath.dataset.id))
+             ];
+         } else if (targetConnector) {
              const connId = targetConnector.dataset.connId;
              items = [
                  { label: 'Disconnect This Point', icon: '✂️', action: () => disconnectPoint(connId) }
@@ -1969,6 +3856,16 @@ function disconnectPoint(connId) {
                  { label: 'Disconnect All', icon: '🔌', action: () => disconnectAllCardConnections(cardId) },
                  { label: 'Delete', icon: '🗑️', action: () => deleteCard(cardId) }
              ];
+             const bucket = state.buckets.find(b => b.id === currentOpenBucketId);
+             const connector = getItemConnector(bucket && bucket.items.find(i => i.instanceId === cardId));
+             if (connector && connector.settings.length > 0) {
+                 items.unshift({ label: 'Settings', icon: '⚙️', action: () => openCardSettings(cardId) });
+             }
+             if (connector && connector.id === 'hub-webhook') {
+                 items.unshift({ label: 'Copy Webhook URL', icon: '🔗', action: () => copyWebhookUrl(currentOpenBucketId, cardId) });
+             }
+             const cardKey = `card:${currentOpenBucketId}:${cardId}`;
+             items.push({ label: debugBreakpoints.has(cardKey) ? 'Remove Breakpoint' : 'Add Breakpoint', icon: '●', action: () => toggleBreakpoint(cardKey) });
          } else if (targetBucket) {
              // Bucket Actions
              items = [
@@ -1985,7 +3882,7 @@ function disconnectPoint(connId) {
                      
                      h3.onblur = () => {
                          h3.contentEditable = false;
-                         actions.updateBucket(targetBucket.id, { label: h3.innerText });
+                         actions.updateBucket(targetBucket.id, { label: h3.innerText }, 'Renamed bucket');
                      };
                  }},
                  { label: 'Change Color', icon: '🎨', action: (e) => changeBucketColor(targetBucket.id, e) },
@@ -2007,6 +3904,7 @@ function disconnectPoint(connId) {
                  // Global Background
                  items = [
                      { label: 'New Bucket', icon: 'bw', action: () => document.getElementById('create-bucket-btn').click() },
+                     { label: 'New Workflow', icon: '✚', action: () => createWorkflowFromPrompt() },
                      { separator: true },
                      { label: 'Reset View', icon: '↺', action: () => window.location.reload() }
                  ];
@@ -2027,7 +3925,6 @@ function deleteSidebarItem(id, element) {
         // 1. Update Sidebar State
         if (state.customTemplates) {
              state.customTemplates = state.customTemplates.filter(t => t.id !== id);
-             // Save happens in removeItemFromBucket too, but we need to ensure sidebar state is saved.
              saveState(); 
         }
         
@@ -2050,12 +3947,10 @@ function deleteSidebarItem(id, element) {
             }
         });
 
-        // Execute removals
-        removalTasks.forEach(task => {
-            actions.removeItemFromBucket(task.bucketId, task.instanceId);
+        // Execute removals as one undo step
+        actions.transaction('Deleted custom item', () => {
+            removalTasks.forEach(task => deleteCard(task.instanceId, task.bucketId));
         });
-        
-        saveState(); // Final save
     }
 }
 
@@ -2072,7 +3967,9 @@ function deleteSidebarItem(id, element) {
          } else {
              const div = document.createElement('div');
              div.className = 'context-item';
-             div.innerHTML = `<span>${item.icon}</span> <span>${item.label}</span>`;
+             div.innerHTML = `<span></span> <span></span>`;
+             div.firstElementChild.textContent = item.icon;
+             div.lastElementChild.textContent = item.label;
              div.addEventListener('click', (e) => {
                  e.stopPropagation(); 
                  // Special handling: if action returns true, don't close?
@@ -2109,27 +4006,20 @@ function deleteSidebarItem(id, element) {
      // Clone
      const newItem = JSON.parse(JSON.stringify(original));
      newItem.instanceId = 'item-' + Date.now();
-     newItem.x += 20;
-     newItem.y += 20;
+     newItem.x = (newItem.x || 0) + 20;
+     newItem.y = (newItem.y || 0) + 20;
 
-     actions.addItemToBucket(bucket.id, newItem);
-     // Re-render handled by add? actually addItemToBucket emits update, but logic inside might not auto-render DOM unless we refresh detail
-     openBucketDetail(bucket.id); 
+     actions.transaction(`Duplicated card "${original.label || original.id}"`, () => {
+         actions.addItemToBucket(bucket.id, newItem);
+     });
  }
 
  function disconnectAllCardConnections(instanceId) {
     if (!currentOpenBucketId) return;
     
-    // Connections use "bucketId:instanceId:varId"
-    const prefix = `${currentOpenBucketId}:${instanceId}`;
-    
-    const toRemove = state.connections.filter(c => c.sourceId.includes(prefix) || c.targetId.includes(prefix));
-    
-    toRemove.forEach(c => {
-        actions.removeConnection(c.id);
+    actions.transaction(`Disconnected card "${describeEndpoint(`${currentOpenBucketId}:${instanceId}:`)}"`, () => {
+        getCardConnections(currentOpenBucketId, instanceId).forEach(c => actions.removeConnection(c.id));
     });
-    
-    renderDetailConnections(currentOpenBucketId);
  }
 
  function changeBucketColor(bucketId, e) {
@@ -2179,30 +4069,11 @@ function deleteSidebarItem(id, element) {
          swatch.onclick = (e) => {
              e.stopPropagation();
              // Apply Color
-             actions.updateBucket(bucketId, { color: grad });
+             actions.updateBucket(bucketId, { color: grad }, 'Changed bucket color');
              
              // Update DOM
              const el = document.getElementById(bucketId);
-             if (el) {
-                 const shape = el.querySelector('.bucket-front-shape');
-                 if (shape) shape.style.background = grad;
-                 
-                 const inside = el.querySelector('.bucket-rim-back');
-                 if (inside) {
-                     inside.style.background = grad;
-                     inside.style.filter = 'brightness(0.4)'; // Darker for depth
-                 }
-                 
-                 const rim = el.querySelector('.bucket-rim-front');
-                 if (rim) {
-                     // Extract first color from gradient for the rim border
-                     // format: linear-gradient(..., #color1, #color2)
-                     const match = grad.match(/#(?:[0-9a-fA-F]{3}){1,2}/);
-                     if (match) {
-                         rim.style.borderColor = match[0];
-                     }
-                 }
-             }
+             if (el) applyBucketColor(el, grad);
              
              menu.classList.add('hidden');
          };
@@ -2229,39 +4100,1068 @@ function deleteSidebarItem(id, element) {
      }
  }
 
- function deleteCard(instanceId) {
-      // Helper to trigger delete logic from outside
-      if (currentOpenBucketId) {
-          const bucket = state.buckets.find(b => b.id === currentOpenBucketId);
-          if (bucket) {
-              const newItems = bucket.items.filter(i => i.instanceId !== instanceId);
-              actions.updateBucket(bucket.id, { items: newItems });
-              openBucketDetail(bucket.id);
-          }
-      }
+ function applyBucketColor(el, grad) {
+     const shape = el.querySelector('.bucket-front-shape');
+     if (shape) shape.style.background = grad;
+     
+     const inside = el.querySelector('.bucket-rim-back');
+     if (inside) {
+         inside.style.background = grad;
+         inside.style.filter = 'brightness(0.4)'; // Darker for depth
+     }
+     
+     const rim = el.querySelector('.bucket-rim-front');
+     if (rim) {
+         // Extract first color from gradient for the rim border
+         // format: linear-gradient(..., #color1, #color2)
+         const match = grad.match(/#(?:[0-9a-fA-F]{3}){1,2}/);
+         if (match) {
+             rim.style.borderColor = match[0];
+         }
+     }
  }
 
+ // Connections use "bucketId:instanceId:varId"
+ function getCardConnections(bucketId, instanceId) {
+     const prefix = `${bucketId}:${instanceId}:`;
+     return state.connections.filter(c => c.sourceId.startsWith(prefix) || c.targetId.startsWith(prefix));
+ }
 
-// ==========================================
-// CUSTOM TEMPLATE CREATOR LOGIC
-// ==========================================
+ // Removes a card together with its connections as one undo step
+ function deleteCard(instanceId, bucketId = currentOpenBucketId) {
+      const bucket = state.buckets.find(b => b.id === bucketId);
+      if (!bucket) return;
 
-const addItemBtn = document.getElementById('add-item-btn');
-// ==========================================
-// CUSTOM TEMPLATE CREATOR LOGIC
-// ==========================================
+      const item = bucket.items.find(i => i.instanceId === instanceId);
+      actions.transaction(`Deleted card "${item ? item.label || item.id : instanceId}"`, () => {
+          getCardConnections(bucket.id, instanceId).forEach(c => actions.removeConnection(c.id));
+          actions.removeItemFromBucket(bucket.id, instanceId);
+      });
+ }
 
-document.addEventListener('DOMContentLoaded', () => {
-    const addItemBtn = document.getElementById('add-item-btn');
-    const addItemDropdown = document.getElementById('add-item-dropdown');
-    const createItemModal = document.getElementById('create-item-modal');
-    const modalTitle = document.getElementById('modal-title');
-    const customItemName = document.getElementById('custom-item-name');
-    const variableRowsContainer = document.getElementById('variable-rows-container');
-    const addVariableBtn = document.getElementById('add-variable-btn');
-    const confirmCreateBtn = document.getElementById('confirm-create-btn');
-    const cancelCreateBtn = document.getElementById('cancel-create-btn');
-    const closeModalBtn = document.getElementById('close-modal-btn');
+ // Edits a card's settings with the form its connector declares
+ function openCardSettings(instanceId, bucketId = currentOpenBucketId) {
+     const bucket = state.buckets.find(b => b.id === bucketId);
+     const item = bucket && bucket.items.find(i => i.instanceId === instanceId);
+     const connector = getItemConnector(item);
+     const modal = document.getElementById('card-settings-modal');
+     const form = document.getElementById('card-settings-form');
+     if (!connector || connector.settings.length === 0 || !modal || !form) return;
+
+     const current = resolveItemSettings(item);
+     document.getElementById('card-settings-title').textContent = `${item.label} Settings`;
+     form.innerHTML = '';
+
+     connector.settings.forEach(field => {
+         const group = document.createElement('div');
+         group.className = 'form-group';
+         const label = document.createElement('label');
+         label.textContent = field.label;
+         group.appendChild(label);
+
+         let input;
+         if (field.type === 'rules' || field.type === 'mapping') {
+             group.appendChild(createListEditor(field, current[field.key]));
+         } else if (field.type === 'select') {
+             input = document.createElement('select');
+             field.options.forEach(option => input.add(new Option(option, option)));
+         } else if (field.type === 'textarea') {
+             input = document.createElement('textarea');
+             input.rows = 4;
+         } else {
+             input = document.createElement('input');
+             input.type = field.type === 'boolean' ? 'checkbox' : field.type;
+             if (field.min !== undefined) input.min = field.min;
+             if (field.max !== undefined) input.max = field.max;
+         }
+         if (input) {
+             input.name = field.key;
+             if (field.type === 'boolean') input.checked = !!current[field.key];
+             else if (current[field.key] !== undefined) input.value = current[field.key];
+             group.appendChild(input);
+         }
+
+         if (field.help) {
+             const help = document.createElement('span');
+             help.className = 'form-help';
+             help.textContent = field.help;
+             group.appendChild(help);
+         }
+         form.appendChild(group);
+     });
+
+     form.oninput = null;
+     if (connector.preview) {
+         const preview = document.createElement('div');
+         preview.className = 'settings-preview';
+         form.appendChild(preview);
+         const refresh = () => renderSettingsPreview(connector, readSettingsForm(connector, form), preview);
+         form.oninput = refresh;
+         refresh();
+     }
+     if (connector.id === 'hub-scheduler') renderScheduleLog(form, bucket.id, instanceId);
+
+     const close = () => modal.classList.add('hidden');
+     document.getElementById('close-card-settings-btn').onclick = close;
+     document.getElementById('cancel-card-settings-btn').onclick = close;
+     document.getElementById('save-card-settings-btn').onclick = () => {
+         const settings = readSettingsForm(connector, form);
+         const updated = { ...item, settings };
+         if (connector.variablesFor) {
+             try {
+                 updated.variables = mergeCardVariables(item.variables, connector.variablesFor(settings));
+             } catch (e) {
+                 showToast(e.message);
+                 return;
+             }
+         }
+
+         // Connections of variables the new settings no longer have go with them
+         const kept = new Set((updated.variables || []).map(v => v.id));
+         const prefix = `${bucket.id}:${instanceId}:`;
+         actions.transaction(`Changed "${item.label}" settings`, () => {
+             getCardConnections(bucket.id, instanceId).forEach(conn => {
+                 const dropped = [conn.sourceId, conn.targetId].some(end => end.startsWith(prefix) && !kept.has(parseEndpoint(end).varId));
+                 if (dropped) actions.removeConnection(conn.id);
+             });
+             const items = bucket.items.map(i => i.instanceId === instanceId ? updated : i);
+             actions.updateBucket(bucket.id, { items }, `Changed "${item.label}" settings`);
+         });
+         close();
+     };
+
+     modal.classList.remove('hidden');
+ }
+
+ // Variables generated from settings keep what the card stored on them (e.g. samples)
+ function mergeCardVariables(current, generated) {
+     return generated.map(v => {
+         const existing = (current || []).find(c => c.id === v.id);
+         return existing ? { ...existing, ...v } : { ...v };
+     });
+ }
+
+ function readSettingsForm(connector, form) {
+     const settings = {};
+     connector.settings.forEach(field => {
+         if (field.type === 'rules' || field.type === 'mapping') {
+             settings[field.key] = readListEditor(form.querySelector(`.list-editor[data-key="${field.key}"]`));
+             return;
+         }
+         const input = form.elements[field.key];
+         if (field.type === 'boolean') settings[field.key] = input.checked;
+         else if (field.type === 'number') settings[field.key] = input.value === '' ? field.default : Number(input.value);
+         else settings[field.key] = input.value;
+     });
+     return settings;
+ }
+
+ // Columns of the row editors for list settings; a select option marked `unary` disables the columns after it
+ function listSettingColumns(field) {
+     if (field.type === 'rules') {
+         return [
+             { key: 'path', placeholder: '$.order.total' },
+             { key: 'operator', options: field.operators },
+             { key: 'value', placeholder: 'Value' }
+         ];
+     }
+     return [
+         { key: 'name', placeholder: 'Field' },
+         { key: 'template', placeholder: '{{input}}', wide: true }
+     ];
+ }
+
+ // Editable rows for 'rules' and 'mapping' settings (If/Else conditions, Transform fields)
+ function createListEditor(field, rows) {
+     const columns = listSettingColumns(field);
+     const editor = document.createElement('div');
+     editor.className = 'list-editor';
+     editor.dataset.key = field.key;
+     const container = document.createElement('div');
+     container.className = 'list-editor-rows';
+     editor.appendChild(container);
+
+     const changed = () => editor.dispatchEvent(new Event('input', { bubbles: true }));
+     const addRow = (data = {}) => {
+         const row = document.createElement('div');
+         row.className = 'variable-form-row list-editor-row';
+         const inputs = columns.map(column => {
+             let input;
+             if (column.options) {
+                 input = document.createElement('select');
+                 column.options.forEach(option => input.add(new Option(option.label, option.value)));
+             } else {
+                 input = document.createElement('input');
+                 input.type = 'text';
+                 input.placeholder = column.placeholder;
+                 if (column.wide) input.classList.add('wide');
+             }
+             input.dataset.column = column.key;
+             if (data[column.key] !== undefined) input.value = data[column.key];
+             row.appendChild(input);
+             return { column, input };
+         });
+
+         const syncUnary = () => {
+             let disabled = false;
+             inputs.forEach(({ column, input }) => {
+                 input.disabled = disabled;
+                 const option = column.options && column.options.find(o => o.value === input.value);
+                 if (option && option.unary) disabled = true;
+             });
+         };
+         row.addEventListener('change', syncUnary);
+         syncUnary();
+
+         const remove = document.createElement('button');
+         remove.type = 'button';
+         remove.className = 'btn-row-delete';
+         remove.title = 'Remove';
+         remove.textContent = '×';
+         remove.addEventListener('click', () => {
+             row.remove();
+             changed();
+         });
+         row.appendChild(remove);
+         container.appendChild(row);
+     };
+     (Array.isArray(rows) ? rows : []).forEach(data => addRow(data));
+
+     const addBtn = document.createElement('button');
+     addBtn.type = 'button';
+     addBtn.className = 'btn-text-accent';
+     addBtn.textContent = field.type === 'rules' ? '+ Add Rule' : '+ Add Field';
+     addBtn.addEventListener('click', () => {
+         addRow();
+         changed();
+     });
+     editor.appendChild(addBtn);
+     return editor;
+ }
+
+ function readListEditor(editor) {
+     if (!editor) return [];
+     return Array.from(editor.querySelectorAll('.list-editor-row')).map(row => {
+         const data = {};
+         row.querySelectorAll('[data-column]').forEach(input => {
+             data[input.dataset.column] = input.tagName === 'SELECT' ? input.value : input.value.trim();
+         });
+         return data;
+     });
+ }
+
+ // What the connector makes of the settings being edited, or why they do not work
+ function renderSettingsPreview(connector, settings, container) {
+     container.innerHTML = '';
+     const heading = document.createElement('label');
+     container.appendChild(heading);
+     try {
+         const { title, lines } = connector.preview(settings, Date.now());
+         heading.textContent = title || 'Preview';
+         const list = document.createElement('ol');
+         list.className = 'settings-preview-list';
+         lines.forEach(line => {
+             const li = document.createElement('li');
+             li.textContent = line;
+             list.appendChild(li);
+         });
+         container.appendChild(list);
+     } catch (e) {
+         heading.textContent = 'Preview';
+         const error = document.createElement('p');
+         error.className = 'error-text';
+         error.textContent = e.message;
+         container.appendChild(error);
+     }
+ }
+
+
+// ==========================================
+// 8. WORKFLOWS (PROJECTS)
+// ==========================================
+
+window.addEventListener('DOMContentLoaded', initProjects);
+
+function initProjects() {
+    const switcherBtn = document.getElementById('project-switcher-btn');
+    const panel = document.getElementById('project-panel');
+    if (!switcherBtn || !panel) return;
+
+    switcherBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        panel.classList.toggle('hidden');
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!switcherBtn.contains(e.target) && !panel.contains(e.target)) {
+            panel.classList.add('hidden');
+        }
+    });
+
+    on('projects:updated', renderProjectPanel);
+    on('project:switched', () => {
+        closeBucketDetail();
+        panel.classList.add('hidden');
+    });
+
+    renderProjectPanel();
+}
+
+function renderProjectPanel() {
+    const panel = document.getElementById('project-panel');
+    const nameEl = document.getElementById('current-project-name');
+    if (!panel) return;
+
+    const current = projectIndex.projects.find(p => p.id === projectIndex.currentId);
+    if (nameEl && current) nameEl.textContent = current.name;
+
+    panel.innerHTML = '';
+
+    projectIndex.projects.forEach(project => {
+        const row = document.createElement('div');
+        row.className = 'export-option project-option';
+        if (project.id === projectIndex.currentId) row.classList.add('active');
+
+        row.innerHTML = `
+            <span class="project-name"></span>
+            <span class="project-actions">
+                <span data-action="rename" title="Rename">✎</span>
+                <span data-action="duplicate" title="Duplicate">⧉</span>
+                <span data-action="delete" title="Delete">🗑️</span>
+            </span>
+        `;
+        const nameSpan = row.querySelector('.project-name');
+        nameSpan.textContent = project.name;
+        nameSpan.title = project.name;
+
+        row.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const action = e.target.dataset.action;
+
+            if (action === 'rename') {
+                const name = prompt('Rename workflow', project.name);
+                if (name && name.trim()) actions.renameProject(project.id, name.trim());
+            } else if (action === 'duplicate') {
+                actions.duplicateProject(project.id);
+            } else if (action === 'delete') {
+                if (confirm(`Delete the workflow "${project.name}"? This cannot be undone.`)) {
+                    actions.deleteProject(project.id);
+                }
+            } else {
+                actions.switchProject(project.id);
+            }
+        });
+
+        panel.appendChild(row);
+    });
+
+    const newRow = document.createElement('div');
+    newRow.className = 'export-option project-option new-project';
+    newRow.innerHTML = `<span class="ext">+</span> <span>New Workflow</span>`;
+    newRow.addEventListener('click', (e) => {
+        e.stopPropagation();
+        createWorkflowFromPrompt();
+    });
+    panel.appendChild(newRow);
+}
+
+function createWorkflowFromPrompt() {
+    const name = prompt('Name the new workflow', `Workflow ${projectIndex.projects.length + 1}`);
+    if (name && name.trim()) actions.createProject(name.trim());
+}
+
+// Tells the user what was repaired on load and lets them keep the broken originals
+function showRecoveryReport() {
+    const modal = document.getElementById('recovery-modal');
+    const list = document.getElementById('recovery-summary');
+    if (!modal || !list || pendingRecoveries.length === 0) return;
+
+    list.innerHTML = '';
+    pendingRecoveries.forEach(recovery => {
+        const entry = document.createElement('li');
+        entry.textContent = `${recovery.name}: ${recovery.problems.join(' ')}`;
+        list.appendChild(entry);
+    });
+
+    const close = () => {
+        pendingRecoveries.length = 0;
+        modal.classList.add('hidden');
+    };
+
+    document.getElementById('close-recovery-btn').onclick = close;
+    document.getElementById('dismiss-recovery-btn').onclick = close;
+    document.getElementById('download-recovery-btn').onclick = () => {
+        pendingRecoveries.forEach((recovery, index) => {
+            downloadTextFile(`workflow_recovery_${index + 1}.json`, recovery.raw, 'application/json');
+        });
+    };
+
+    modal.classList.remove('hidden');
+}
+
+
+// ==========================================
+// 9. HISTORY PANEL & SHORTCUTS
+// ==========================================
+
+window.addEventListener('DOMContentLoaded', initHistoryPanel);
+
+// The side panels share the top right corner: opening one closes the others
+function showSidePanel(panel) {
+    document.querySelectorAll('.side-panel').forEach(p => p.classList.toggle('hidden', p !== panel));
+}
+
+function initHistoryPanel() {
+    const panel = document.getElementById('history-panel');
+    if (!panel) return;
+
+    const toggle = (e) => {
+        e.stopPropagation();
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+        showSidePanel(panel);
+        renderHistoryPanel();
+    };
+    ['history-btn', 'detail-history-btn'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', toggle);
+    });
+    document.getElementById('close-history-btn').addEventListener('click', () => panel.classList.add('hidden'));
+
+    on('history:updated', () => {
+        if (!panel.classList.contains('hidden')) renderHistoryPanel();
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y too) on the canvas and in the detail view
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        // Leave text fields (bucket rename, modals) to the browser's own undo
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) actions.redo();
+        else actions.undo();
+    });
+}
+
+function renderHistoryPanel() {
+    const list = document.getElementById('history-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    historyStack.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'history-entry';
+        if (index === historyIndex) row.classList.add('current');
+        if (index > historyIndex) row.classList.add('future');
+        row.title = index === historyIndex ? 'Current state' : 'Jump to this step';
+
+        const label = document.createElement('span');
+        label.textContent = entry.label;
+        const time = document.createElement('span');
+        time.className = 'history-time';
+        time.textContent = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+        row.appendChild(label);
+        row.appendChild(time);
+        row.addEventListener('click', () => actions.jumpToHistory(index));
+        list.appendChild(row);
+    });
+
+    const current = list.querySelector('.history-entry.current');
+    if (current) current.scrollIntoView({ block: 'nearest' });
+}
+
+
+// ==========================================
+// 10. SCHEDULER
+// ==========================================
+
+// Enabled Scheduler cards fire their bucket's flow while the editor is open.
+// A timer here keeps time, unless the dev server is connected: then it keeps
+// the schedules and sends a "schedule" event when one is due.
+
+// Timers are capped so a sleeping laptop or a changed clock is noticed
+const MAX_SCHEDULE_WAIT_MS = 60000;
+const MAX_SCHEDULE_LOG = 100;
+
+let scheduleTimer = null;
+let scheduleCursor = Date.now(); // Fire times up to here have been dealt with
+// Newest first: { bucketId, instanceId, label, scheduledFor, firedAt, via, status, note }
+const scheduleLog = [];
+
+function initScheduler() {
+    ['reset', 'bucket:added', 'bucket:updated', 'bucket:removed'].forEach(event => {
+        on(event, () => syncSchedules());
+    });
+}
+
+// Enabled Scheduler cards of the open workflow
+function listSchedules() {
+    const schedules = [];
+    state.buckets.forEach(bucket => bucket.items.forEach(item => {
+        const connector = getItemConnector(item);
+        if (!connector || connector.id !== 'hub-scheduler') return;
+        const settings = resolveItemSettings(item);
+        if (settings.enabled) schedules.push({ bucketId: bucket.id, instanceId: item.instanceId, label: item.label, settings });
+    }));
+    return schedules;
+}
+
+// The next fire time of a schedule after `from`, or null (nothing left, or broken settings)
+function nextFireTime(schedule, from) {
+    try {
+        const [time] = nextScheduleTimes(schedule.settings, from, 1);
+        return time === undefined ? null : time;
+    } catch (e) {
+        return null;
+    }
+}
+
+function syncSchedules() {
+    clearTimeout(scheduleTimer);
+    scheduleTimer = null;
+    const schedules = listSchedules();
+
+    if (devServerEditorId) {
+        // The server may run in another zone: pin "local" to the editor's
+        const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const pinned = schedules.map(schedule => ({
+            ...schedule,
+            settings: { ...schedule.settings, timezone: schedule.settings.timezone === 'local' ? localZone : schedule.settings.timezone }
+        }));
+        fetch(`/schedules/${encodeURIComponent(devServerEditorId)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ schedules: pinned })
+        }).catch(() => {});
+        return;
+    }
+
+    // Only runDueSchedules moves the cursor, so a time that came due while the
+    // timer was late is still fired. With nothing due the timer keeps ticking
+    // to move it on, or a schedule added later would fire for a time long past
+    const now = Date.now();
+    const next = Math.min(...schedules.map(schedule => nextFireTime(schedule, scheduleCursor) || Infinity));
+    scheduleTimer = setTimeout(runDueSchedules, Math.min(Math.max(0, next - now), MAX_SCHEDULE_WAIT_MS));
+}
+
+// Fires every schedule that came due since the last check (once, if the computer slept through several)
+function runDueSchedules() {
+    const now = Date.now();
+    const from = scheduleCursor;
+    scheduleCursor = now;
+    listSchedules().forEach(schedule => {
+        let due = null;
+        try {
+            due = lastDueTime(schedule.settings, from, now);
+        } catch (e) {
+            return;
+        }
+        if (due !== null) fireSchedule(schedule.bucketId, schedule.instanceId, due, 'editor');
+    });
+    syncSchedules();
+}
+
+function fireSchedule(bucketId, instanceId, scheduledFor, via) {
+    const bucket = state.buckets.find(b => b.id === bucketId);
+    const item = bucket && bucket.items.find(i => i.instanceId === instanceId);
+    if (!item) return;
+
+    const entry = { bucketId, instanceId, label: item.label, scheduledFor, firedAt: Date.now(), via, status: 'success', note: '' };
+    const timeZone = resolveItemSettings(item).timezone;
+    if (debugSession && debugSession.bucketId === bucketId) {
+        entry.status = 'skipped';
+        entry.note = 'The bucket was being debugged.';
+    } else {
+        const run = runBucketFlow(bucketId, {
+            instanceId,
+            varId: 'v-sch-time',
+            name: `Scheduled ${formatScheduleTime(scheduledFor, timeZone)}`,
+            payload: { scheduledFor: new Date(scheduledFor).toISOString() },
+            title: item.label
+        });
+        const errors = run.trace.filter(t => t.kind === 'error');
+        if (errors.length > 0) {
+            entry.status = 'error';
+            entry.note = errors[0].note;
+        }
+        playRunIfOpen(run);
+    }
+
+    scheduleLog.unshift(entry);
+    scheduleLog.length = Math.min(scheduleLog.length, MAX_SCHEDULE_LOG);
+    showToast(`⏰ ${item.label} fired "${bucket.label || bucket.id}"${entry.note ? `: ${entry.note}` : '.'}`);
+}
+
+// Recent firings of one Scheduler card, under its settings form
+function renderScheduleLog(container, bucketId, instanceId) {
+    const section = document.createElement('div');
+    section.className = 'settings-preview';
+    const heading = document.createElement('label');
+    heading.textContent = 'Recent Firings';
+    section.appendChild(heading);
+
+    const entries = scheduleLog.filter(entry => entry.bucketId === bucketId && entry.instanceId === instanceId).slice(0, 10);
+    const list = document.createElement('ol');
+    list.className = 'settings-preview-list';
+    entries.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = `schedule-log-${entry.status}`;
+        li.textContent = `${new Date(entry.firedAt).toLocaleTimeString()} · ${entry.status} via ${entry.via}${entry.note ? ` · ${entry.note}` : ''}`;
+        list.appendChild(li);
+    });
+    if (entries.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'Not fired since the editor was opened.';
+        list.appendChild(li);
+    }
+    section.appendChild(list);
+    container.appendChild(section);
+}
+
+window.addEventListener('DOMContentLoaded', initScheduler);
+
+// ==========================================
+// 11. PROBLEMS PANEL
+// ==========================================
+
+// The workflow is validated (js/validation.js) after every render; buckets
+// with problems get a badge and the panel lists them per bucket.
+
+let workflowProblems = [];
+
+function initProblemsPanel() {
+    const panel = document.getElementById('problems-panel');
+    if (!panel) return;
+
+    document.getElementById('problems-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+        showSidePanel(panel);
+        renderProblemsPanel();
+    });
+    document.getElementById('close-problems-btn').addEventListener('click', () => panel.classList.add('hidden'));
+}
+
+// Called by flushRender once the buckets are drawn
+function renderProblems() {
+    workflowProblems = validateWorkflow(state);
+    const counts = countProblemsByBucket(workflowProblems);
+
+    document.querySelectorAll('#buckets-container .bucket').forEach(el => {
+        const count = counts[el.id];
+        let badge = el.querySelector('.bucket-problem-badge');
+        if (!count) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'bucket-problem-badge';
+            badge.addEventListener('click', (e) => {
+                e.stopPropagation();
+                showSidePanel(document.getElementById('problems-panel'));
+                renderProblemsPanel(el.id);
+            });
+            el.appendChild(badge);
+        }
+        badge.classList.toggle('warning', count.error === 0);
+        badge.textContent = count.error || count.warning;
+        badge.title = `${count.error} error(s), ${count.warning} warning(s)`;
+    });
+
+    const errors = workflowProblems.filter(p => p.severity === 'error').length;
+    const countEl = document.getElementById('problems-count');
+    if (countEl) {
+        countEl.textContent = workflowProblems.length || '';
+        countEl.classList.toggle('has-errors', errors > 0);
+    }
+
+    const panel = document.getElementById('problems-panel');
+    if (panel && !panel.classList.contains('hidden')) renderProblemsPanel();
+}
+
+function renderProblemsPanel(scrollToBucketId) {
+    const list = document.getElementById('problems-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (workflowProblems.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'problems-empty';
+        empty.textContent = 'No problems found.';
+        list.appendChild(empty);
+        return;
+    }
+
+    // Buckets in canvas order, connections without one last; errors first inside each
+    const groups = [...state.buckets.map(b => b.id), null]
+        .map(bucketId => ({ bucketId, problems: workflowProblems.filter(p => p.bucketId === bucketId) }))
+        .filter(group => group.problems.length > 0);
+
+    groups.forEach(({ bucketId, problems }) => {
+        const bucket = state.buckets.find(b => b.id === bucketId);
+        const group = document.createElement('div');
+        group.className = 'problems-group';
+        if (bucketId) group.dataset.bucketId = bucketId;
+
+        const title = document.createElement('div');
+        title.className = 'problems-group-title';
+        title.textContent = bucket ? bucket.label || 'Unnamed Bucket' : 'Workflow';
+        group.appendChild(title);
+
+        problems.sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1)).forEach(problem => {
+            const row = document.createElement('div');
+            row.className = `problem-entry ${problem.severity}`;
+            row.textContent = problem.message;
+            if (bucketId) {
+                row.title = 'Show in the bucket';
+                row.addEventListener('click', () => focusProblem(problem));
+            }
+            group.appendChild(row);
+        });
+        list.appendChild(group);
+    });
+
+    const target = scrollToBucketId && list.querySelector(`.problems-group[data-bucket-id="${scrollToBucketId}"]`);
+    if (target) target.scrollIntoView({ block: 'start' });
+}
+
+// Opens the problem's bucket and points at the cards and connection involved
+function focusProblem(problem) {
+    if (currentOpenBucketId !== problem.bucketId) openBucketDetail(problem.bucketId);
+    showDetailTab('board');
+
+    document.querySelectorAll('.problem-focus').forEach(el => el.classList.remove('problem-focus'));
+    const cards = problem.instanceIds.map(id => document.getElementById('card-' + id)).filter(Boolean);
+    cards.forEach(card => card.classList.add('problem-focus'));
+    if (problem.connectionId !== undefined) {
+        const path = document.querySelector(`.detail-connection-path[data-id="${problem.connectionId}"]`);
+        if (path) path.classList.add('problem-focus');
+    }
+
+    if (cards.length > 0) centerDetailBoardOn(cards[0]);
+}
+
+// Pans the detail board so a card sits in the middle, keeping the zoom
+function centerDetailBoardOn(card) {
+    const container = document.getElementById('detail-cards-container');
+    if (!container) return;
+    const rect = container.getBoundingClientRect();
+    const x = (parseFloat(card.style.left) || 0) + card.offsetWidth / 2;
+    const y = (parseFloat(card.style.top) || 0) + card.offsetHeight / 2;
+    currentTransform.x = rect.width / 2 - x * currentTransform.scale;
+    currentTransform.y = rect.height / 2 - y * currentTransform.scale;
+    updateContainerTransform();
+}
+
+// Opens the bucket an endpoint lives in and centers its card
+function revealEndpoint(endpoint) {
+    const [bucketId, instanceId] = endpoint.split(':');
+    if (currentOpenBucketId !== bucketId) openBucketDetail(bucketId);
+    showDetailTab('board');
+    const card = document.getElementById('card-' + instanceId);
+    if (card) centerDetailBoardOn(card);
+}
+
+window.addEventListener('DOMContentLoaded', initProblemsPanel);
+
+// ==========================================
+// 12. LINEAGE
+// ==========================================
+
+// In lineage mode, hovering a variable shows where its value comes from and
+// where it goes, across buckets: the cards, rows and connections on the way
+// light up and everything else dims. Clicking a variable keeps its lineage
+// and lists it in the side panel, from which it can be exported.
+
+const LINEAGE_ROW_SELECTOR = '.card-variable-row[data-conn-id], .variable[data-connection-id]';
+
+let lineageMode = false;
+let lineageSelected = null; // endpoint picked with a click
+let lineageHovered = null;
+
+function initLineage() {
+    const panel = document.getElementById('lineage-panel');
+    if (!panel) return;
+
+    ['lineage-btn', 'detail-lineage-btn'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setLineageMode(!lineageMode);
+        });
+    });
+    document.getElementById('close-lineage-btn').addEventListener('click', () => selectLineage(null));
+    document.getElementById('export-lineage-btn').addEventListener('click', exportLineage);
+
+    const endpointOf = (el) => el.dataset.connId || el.dataset.connectionId;
+
+    document.addEventListener('mouseover', (e) => {
+        // Not while a connection is being drawn: that has its own feedback
+        if (!lineageMode || activePath || detailActivePath) return;
+        const row = e.target.closest(LINEAGE_ROW_SELECTOR);
+        const endpoint = row ? endpointOf(row) : null;
+        if (endpoint === lineageHovered) return;
+        lineageHovered = endpoint;
+        renderLineage();
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!lineageMode) return;
+        const row = e.target.closest(LINEAGE_ROW_SELECTOR);
+        if (row) selectLineage(endpointOf(row));
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && lineageMode) setLineageMode(false);
+    });
+
+    on('project:switched', () => selectLineage(null));
+}
+
+function setLineageMode(enabled) {
+    lineageMode = enabled;
+    ['lineage-btn', 'detail-lineage-btn'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.classList.toggle('active', enabled);
+    });
+    if (!enabled) {
+        lineageHovered = null;
+        selectLineage(null);
+    } else {
+        showToast('Lineage: hover a variable to trace it, click to keep it. Esc leaves.');
+    }
+}
+
+function selectLineage(endpoint) {
+    lineageSelected = endpoint;
+    const panel = document.getElementById('lineage-panel');
+    if (endpoint) {
+        showSidePanel(panel);
+        renderLineagePanel();
+    } else {
+        panel.classList.add('hidden');
+    }
+    renderLineage();
+}
+
+// Everything upstream and downstream of an endpoint in the whole workflow
+function computeLineage(endpoint) {
+    const graph = createConnectionGraph(state.connections);
+    const upstream = graph.upstream(endpoint);
+    const downstream = graph.downstream(endpoint);
+    const before = new Set([...upstream, endpoint]);
+    const after = new Set([...downstream, endpoint]);
+
+    const connections = state.connections.filter(c =>
+        (before.has(c.sourceId) && before.has(c.targetId)) || (after.has(c.sourceId) && after.has(c.targetId))
+    );
+    const cards = new Set([...before, ...after].map(endpointCard));
+    return { endpoint, upstream, downstream, connections, cards, graph };
+}
+
+// Applies the hovered (or else the selected) lineage to the canvas and the detail board
+function renderLineage() {
+    const endpoint = lineageMode ? lineageHovered || lineageSelected : null;
+    const lineage = endpoint && describeEndpoint(endpoint) !== endpoint ? computeLineage(endpoint) : null;
+    document.body.classList.toggle('lineage-active', !!lineage);
+
+    const connectionIds = new Set(lineage ? lineage.connections.map(c => String(c.id)) : []);
+    const onPath = (card) => !!lineage && lineage.cards.has(card);
+
+    document.querySelectorAll(`${LINEAGE_ROW_SELECTOR}, .detail-port-row`).forEach(row => {
+        const rowEndpoint = row.dataset.connId || row.dataset.connectionId;
+        row.classList.toggle('lineage-source', !!lineage && rowEndpoint === endpoint);
+        row.classList.toggle('lineage-up', !!lineage && lineage.upstream.has(rowEndpoint));
+        row.classList.toggle('lineage-down', !!lineage && lineage.downstream.has(rowEndpoint));
+    });
+    document.querySelectorAll('#detail-board-wrapper .detail-card').forEach(card => {
+        card.classList.toggle('lineage-card', onPath(`${currentOpenBucketId}:${card.id.replace('card-', '')}`));
+    });
+    document.querySelectorAll('.detail-connection-path[data-id]').forEach(path => {
+        path.classList.toggle('lineage', connectionIds.has(path.dataset.id));
+    });
+
+    // Global canvas: the buckets the lineage passes through
+    document.querySelectorAll('#connection-layer .connection-path[id^="conn-"]').forEach(path => {
+        path.classList.toggle('lineage', connectionIds.has(path.id.replace('conn-', '')));
+    });
+    document.querySelectorAll('#buckets-container .bucket').forEach(el => {
+        el.classList.toggle('lineage-bucket', !!lineage && [...lineage.cards].some(card => card.startsWith(`${el.id}:`)));
+    });
+}
+
+// The selected lineage in flow order, upstream first
+function listLineage(endpoint) {
+    const lineage = computeLineage(endpoint);
+    const cards = lineage.graph.topologicalOrder([...lineage.cards]);
+    const entries = [];
+    cards.forEach(card => {
+        const [bucketId, instanceId] = card.split(':');
+        const bucket = state.buckets.find(b => b.id === bucketId);
+        const item = bucket && bucket.items.find(i => i.instanceId === instanceId);
+        if (!item) return;
+        (item.variables || []).forEach(v => {
+            const varEndpoint = `${card}:${v.id}`;
+            const role = varEndpoint === endpoint ? 'selected'
+                : lineage.upstream.has(varEndpoint) ? 'upstream'
+                : lineage.downstream.has(varEndpoint) ? 'downstream'
+                : null;
+            if (!role) return;
+            entries.push({
+                role,
+                endpoint: varEndpoint,
+                bucket: bucket.label || bucket.id,
+                card: item.label,
+                variable: v.label,
+                type: variableDataType(v, item) || 'trigger'
+            });
+        });
+    });
+    return { entries, connections: lineage.connections };
+}
+
+function renderLineagePanel() {
+    const list = document.getElementById('lineage-list');
+    if (!list || !lineageSelected) return;
+    list.innerHTML = '';
+
+    const { entries } = listLineage(lineageSelected);
+    const selected = entries.find(entry => entry.role === 'selected');
+    document.getElementById('lineage-title').textContent = selected ? `Lineage of ${selected.card} · ${selected.variable}` : 'Lineage';
+
+    let lastBucket = null;
+    entries.forEach(entry => {
+        if (entry.bucket !== lastBucket) {
+            const title = document.createElement('div');
+            title.className = 'problems-group-title';
+            title.textContent = entry.bucket;
+            list.appendChild(title);
+            lastBucket = entry.bucket;
+        }
+        const row = document.createElement('div');
+        row.className = `lineage-entry ${entry.role}`;
+        row.innerHTML = `<span class="lineage-role"></span><span></span><span class="lineage-type"></span>`;
+        row.children[0].textContent = entry.role === 'upstream' ? '↑' : entry.role === 'downstream' ? '↓' : '●';
+        row.children[1].textContent = `${entry.card} · ${entry.variable}`;
+        row.children[2].textContent = entry.type;
+        row.title = 'Show in the bucket';
+        row.addEventListener('click', () => revealEndpoint(entry.endpoint));
+        list.appendChild(row);
+    });
+
+    if (entries.length === 1) {
+        const empty = document.createElement('p');
+        empty.className = 'problems-empty';
+        empty.textContent = 'Nothing is connected to this variable.';
+        list.appendChild(empty);
+    }
+}
+
+function exportLineage() {
+    if (!lineageSelected) return;
+    const { entries, connections } = listLineage(lineageSelected);
+    const selected = entries.find(entry => entry.role === 'selected');
+    if (!selected) return;
+    const exportDoc = {
+        type: 'lineage-export',
+        exportedAt: new Date().toISOString(),
+        variable: selected,
+        upstream: entries.filter(entry => entry.role === 'upstream'),
+        downstream: entries.filter(entry => entry.role === 'downstream'),
+        connections: connections.map(c => ({
+            id: c.id,
+            from: c.sourceId,
+            to: c.targetId,
+            description: describeConnection(c)
+        }))
+    };
+    downloadTextFile(`lineage_${`${selected.card}_${selected.variable}`.replace(/[^\w-]+/g, '_')}.json`, JSON.stringify(exportDoc, null, 2), 'application/json');
+}
+
+window.addEventListener('DOMContentLoaded', initLineage);
+
+// ==========================================
+// 13. CONNECTION ROUTING
+// ==========================================
+
+// The workflow's routing style is picked in the detail footer; a connection
+// can override it from its context menu. Routes are computed in js/routing.js.
+
+function initRoutingControls() {
+    const select = document.getElementById('routing-style-select');
+    if (!select) return;
+
+    CONNECTION_ROUTING_STYLES.forEach(style => {
+        const option = document.createElement('option');
+        option.value = style;
+        option.textContent = CONNECTION_ROUTING_LABELS[style];
+        select.appendChild(option);
+    });
+
+    const sync = () => {
+        select.value = connectionRouting(null);
+    };
+    sync();
+    storageReady.then(sync);
+    on('settings:updated', sync);
+    on('project:switched', sync);
+
+    select.addEventListener('change', () => actions.updateSettings({ routing: select.value }));
+}
+
+function connectionRoutingMenuItems(connId) {
+    const conn = state.connections.find(c => c.id === connId);
+    if (!conn) return [];
+    const current = CONNECTION_ROUTING_STYLES.includes(conn.routing) ? conn.routing : null;
+
+    return [
+        ...CONNECTION_ROUTING_STYLES.map(style => ({
+            label: `Route: ${CONNECTION_ROUTING_LABELS[style]}`,
+            icon: current === style ? '✓' : '',
+            action: () => actions.setConnectionRouting(connId, style)
+        })),
+        {
+            label: `Route like the workflow (${CONNECTION_ROUTING_LABELS[connectionRouting(null)]})`,
+            icon: current === null ? '✓' : '',
+            action: () => actions.setConnectionRouting(connId, null)
+        }
+    ];
+}
+
+window.addEventListener('DOMContentLoaded', initRoutingControls);
+
+// ==========================================
+// CUSTOM TEMPLATE CREATOR LOGIC
+// ==========================================
+
+const addItemBtn = document.getElementById('add-item-btn');
+// ==========================================
+// CUSTOM TEMPLATE CREATOR LOGIC
+// ==========================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    const addItemBtn = document.getElementById('add-item-btn');
+    const addItemDropdown = document.getElementById('add-item-dropdown');
+    const createItemModal = document.getElementById('create-item-modal');
+    const modalTitle = document.getElementById('modal-title');
+    const customItemName = document.getElementById('custom-item-name');
+    const variableRowsContainer = document.getElementById('variable-rows-container');
+    const addVariableBtn = document.getElementById('add-variable-btn');
+    const confirmCreateBtn = document.getElementById('confirm-create-btn');
+    const cancelCreateBtn = document.getElementById('cancel-create-btn');
+    const closeModalBtn = document.getElementById('close-modal-btn');
 
     let currentCreateType = 'app'; // 'app' or 'hub'
 
@@ -2324,9 +5224,19 @@ document.addEventListener('DOMContentLoaded', () => {
                 <option value="data">Data</option>
                 <option value="trigger">Trigger</option>
             </select>
+            <select class="var-data-type-select" title="Data type">
+                ${VARIABLE_DATA_TYPES.map(t => `<option value="${t}"${t === 'any' ? ' selected' : ''}>${t}</option>`).join('')}
+            </select>
             <button class="btn-row-delete" title="Remove">×</button>
         `;
         
+        // Triggers carry no value, so they have no data type
+        const typeSelect = row.querySelector('.var-type-select');
+        const dataTypeSelect = row.querySelector('.var-data-type-select');
+        typeSelect.addEventListener('change', () => {
+            dataTypeSelect.disabled = typeSelect.value === 'trigger';
+        });
+        
         row.querySelector('.btn-row-delete').addEventListener('click', () => {
             row.remove();
         });
@@ -2352,14 +5262,17 @@ document.addEventListener('DOMContentLoaded', () => {
             rows.forEach((row, index) => {
                 const varName = row.querySelector('.var-name-input').value.trim();
                 const varType = row.querySelector('.var-type-select').value;
+                const dataType = row.querySelector('.var-data-type-select').value;
                 
                 if (!varName) return; 
                 
-                variables.push({
+                const variable = {
                     id: `v-custom-${Date.now()}-${index}`,
                     label: varName,
                     type: varType
-                });
+                };
+                if (varType === 'data') variable.dataType = dataType;
+                variables.push(variable);
             });
             
             // SAVE TO STATE
@@ -2393,6 +5306,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initial Render
     renderCustomTemplates();
 
+    // Re-render when templates arrive from outside the modal (e.g. Import)
+    on('templates:updated', () => {
+        document.querySelectorAll('#template-list .tree-item[data-template-id]').forEach(el => el.remove());
+        renderCustomTemplates();
+    });
+
     function createNewSidebarItem(name, type, variables = [], existingId = null) {
         // 1. Construct Parent JSON (All Variables)
         const itemId = existingId || `custom-${type}-${Date.now()}`;
@@ -2407,19 +5326,19 @@ document.addEventListener('DOMContentLoaded', () => {
         // 2. Create Shell
         const itemShell = document.createElement('div');
         itemShell.className = 'tree-item'; // Default collapsed
-        
-        // Escape quotes
-        const parentJsonStr = JSON.stringify(parentDragData).replace(/'/g, "&#39;").replace(/"/g, "&quot;");
+        itemShell.dataset.templateId = itemId;
         
         itemShell.innerHTML = `
-            <div class="tree-header" data-toggle="folder" draggable="true" data-drag-json='${parentJsonStr}'>
+            <div class="tree-header" data-toggle="folder" draggable="true">
                 <span class="tree-icon arrow"><svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg></span>
-                <span>${name}</span>
+                <span></span>
             </div>
             <div class="tree-children"></div>
         `;
         
         const parentHeader = itemShell.querySelector('.tree-header');
+        parentHeader.dataset.dragJson = JSON.stringify(parentDragData);
+        parentHeader.lastElementChild.textContent = name;
         const childrenContainer = itemShell.querySelector('.tree-children');
         
         // 3. Create Children Items (One per variable)
@@ -2433,20 +5352,21 @@ document.addEventListener('DOMContentLoaded', () => {
                 variables: [v] 
             };
             
-            const childJsonStr = JSON.stringify(childDragData).replace(/'/g, "&#39;").replace(/"/g, "&quot;");
             const varColor = v.type === 'trigger' ? 'var(--accent-cyan)' : 'var(--accent-purple)';
             
             const childDiv = document.createElement('div');
             childDiv.className = 'tree-item';
             childDiv.innerHTML = `
-                <div class="tree-header" draggable="true" data-drag-json='${childJsonStr}'>
+                <div class="tree-header" draggable="true">
                     <span class="tree-icon dot" style="background:${varColor}"></span>
-                    <span>${v.label}</span>
+                    <span></span>
                 </div>
             `;
             
             // Attach Drag Event to Child
             const childHeader = childDiv.querySelector('.tree-header');
+            childHeader.dataset.dragJson = JSON.stringify(childDragData);
+            childHeader.lastElementChild.textContent = v.label;
             attachDragEvents(childHeader);
             
             childrenContainer.appendChild(childDiv);
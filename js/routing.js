@@ -0,0 +1,226 @@
+/**
+ * Workflow Editor - Connection Routing
+ *
+ * Works out the SVG path of a connection between two points. A workflow
+ * picks a default style (settings.routing) and a connection can override it
+ * (connection.routing):
+ *
+ *   bezier      a curve leaving to the right and arriving from the left
+ *   straight    a straight line
+ *   orthogonal  horizontal and vertical segments with rounded elbows
+ *   avoid       orthogonal, routed around the obstacles (cards) in the way
+ *
+ * Obstacles are { left, top, right, bottom } rectangles in the same
+ * coordinates as the points. A point inside an obstacle (a connector on a
+ * card) leaves it through the nearer side. Every route comes with its
+ * bounds, so callers can tell which routes a moved obstacle may affect.
+ */
+
+const CONNECTION_ROUTING_STYLES = ['bezier', 'straight', 'orthogonal', 'avoid'];
+
+const CONNECTION_ROUTING_LABELS = {
+    bezier: 'Curved',
+    straight: 'Straight',
+    orthogonal: 'Elbow',
+    avoid: 'Around cards'
+};
+
+const ROUTE_MARGIN = 16; // Clearance kept around obstacles
+const ROUTE_STUB = 24; // Elbow routes run this far straight out of a connector
+const ROUTE_BEND_COST = 40; // An avoiding route takes up to this much longer to save a bend
+const ROUTE_CORNER_RADIUS = 8;
+
+// Returns { d, bounds }
+function routeConnection(style, from, to, obstacles = []) {
+    if (style === 'straight') return polylineRoute([from, to]);
+    if (style === 'orthogonal') return polylineRoute(elbowPoints(from, to));
+    if (style === 'avoid') return polylineRoute(avoidingPoints(from, to, obstacles) || elbowPoints(from, to));
+
+    const dist = Math.hypot(to.x - from.x, to.y - from.y);
+    const cpOffset = Math.max(50, Math.min(200, dist / 2));
+    return {
+        d: getBezierPath(from.x, from.y, to.x, to.y),
+        bounds: pointBounds([from, to, { x: from.x + cpOffset, y: from.y }, { x: to.x - cpOffset, y: to.y }])
+    };
+}
+
+function getBezierPath(x1, y1, x2, y2) {
+    const dist = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+    const cpOffset = Math.max(50, Math.min(200, dist / 2));
+    return `M ${x1} ${y1} C ${x1 + cpOffset} ${y1}, ${x2 - cpOffset} ${y2}, ${x2} ${y2}`;
+}
+
+// Out to the right, across, and in from the left; targets behind the source
+// are reached around the back at mid height
+function elbowPoints(from, to) {
+    if (to.x - from.x >= 2 * ROUTE_STUB) {
+        const midX = (from.x + to.x) / 2;
+        return [from, { x: midX, y: from.y }, { x: midX, y: to.y }, to];
+    }
+    const midY = (from.y + to.y) / 2;
+    return [
+        from,
+        { x: from.x + ROUTE_STUB, y: from.y },
+        { x: from.x + ROUTE_STUB, y: midY },
+        { x: to.x - ROUTE_STUB, y: midY },
+        { x: to.x - ROUTE_STUB, y: to.y },
+        to
+    ];
+}
+
+// Shortest orthogonal route (bends count extra) that stays ROUTE_MARGIN away
+// from every obstacle, or null when there is none.
+// Searches the grid made of the obstacles' clearance lines: with the edges
+// of every inflated obstacle on the grid, a grid segment crosses an obstacle
+// exactly when its midpoint lies inside one.
+function avoidingPoints(from, to, obstacles) {
+    const blocks = obstacles.map(r => ({
+        left: r.left - ROUTE_MARGIN,
+        top: r.top - ROUTE_MARGIN,
+        right: r.right + ROUTE_MARGIN,
+        bottom: r.bottom + ROUTE_MARGIN
+    }));
+    const blocked = (x, y) => blocks.some(b => x > b.left && x < b.right && y > b.top && y < b.bottom);
+
+    // Where the route leaves / joins the obstacle a connector sits on
+    const stub = (point, defaultSide) => {
+        const home = obstacles.find(r => point.x >= r.left && point.x <= r.right && point.y >= r.top && point.y <= r.bottom);
+        if (!home) return { x: point.x + (defaultSide === 'right' ? ROUTE_MARGIN : -ROUTE_MARGIN), y: point.y };
+        const side = point.x - home.left < home.right - point.x ? 'left' : 'right';
+        return { x: side === 'right' ? home.right + ROUTE_MARGIN : home.left - ROUTE_MARGIN, y: point.y };
+    };
+    const start = stub(from, 'right');
+    const end = stub(to, 'left');
+    if (blocked(start.x, start.y) || blocked(end.x, end.y)) return null;
+
+    const axis = (values) => [...new Set(values)].sort((a, b) => a - b);
+    const xs = axis([start.x, end.x, ...blocks.flatMap(b => [b.left, b.right])]);
+    const ys = axis([start.y, end.y, ...blocks.flatMap(b => [b.top, b.bottom])]);
+    const cols = xs.length;
+    const nodeAt = (i, j) => j * cols + i;
+
+    // Dijkstra over (node, heading) states; heading 0 is horizontal, 1 vertical.
+    // Routes start and end horizontally, out of and into the connectors.
+    const startState = nodeAt(xs.indexOf(start.x), ys.indexOf(start.y)) * 2;
+    const endNode = nodeAt(xs.indexOf(end.x), ys.indexOf(end.y));
+    const cost = new Map([[startState, 0]]);
+    const previous = new Map();
+    const queue = createRouteQueue();
+    queue.push(startState, 0);
+
+    let reached = null;
+    while (queue.size() > 0) {
+        const { state, priority } = queue.pop();
+        if (priority > cost.get(state)) continue;
+        const node = state >> 1;
+        const heading = state & 1;
+        if (node === endNode) {
+            const arrival = priority + (heading === 1 ? ROUTE_BEND_COST : 0);
+            if (reached === null || arrival < reached.cost) reached = { state, cost: arrival };
+            if (heading === 0) break;
+            continue;
+        }
+
+        const i = node % cols;
+        const j = (node - i) / cols;
+        [[i - 1, j, 0], [i + 1, j, 0], [i, j - 1, 1], [i, j + 1, 1]].forEach(([ni, nj, nextHeading]) => {
+            if (ni < 0 || nj < 0 || ni >= cols || nj >= ys.length) return;
+            const x = xs[ni];
+            const y = ys[nj];
+            if (blocked(x, y) || blocked((x + xs[i]) / 2, (y + ys[j]) / 2)) return;
+
+            const next = nodeAt(ni, nj) * 2 + nextHeading;
+            const step = Math.abs(x - xs[i]) + Math.abs(y - ys[j]) + (nextHeading !== heading ? ROUTE_BEND_COST : 0);
+            if (cost.has(next) && cost.get(next) <= priority + step) return;
+            cost.set(next, priority + step);
+            previous.set(next, state);
+            queue.push(next, priority + step);
+        });
+    }
+    if (!reached) return null;
+
+    const points = [];
+    for (let state = reached.state; state !== undefined; state = previous.get(state)) {
+        const node = state >> 1;
+        points.unshift({ x: xs[node % cols], y: ys[Math.floor(node / cols)] });
+    }
+    return [from, ...points, to];
+}
+
+// Smallest binary heap for the route search
+function createRouteQueue() {
+    const heap = [];
+    const swap = (a, b) => {
+        [heap[a], heap[b]] = [heap[b], heap[a]];
+    };
+    return {
+        size: () => heap.length,
+        push(state, priority) {
+            heap.push({ state, priority });
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent].priority <= heap[i].priority) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop() {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+                    if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+// Straight segments through `points`, with rounded corners
+function polylineRoute(points) {
+    // Repeated points and points in the middle of a straight run add nothing
+    const kept = [];
+    points.forEach(p => {
+        const last = kept[kept.length - 1];
+        if (last && last.x === p.x && last.y === p.y) return;
+        const before = kept[kept.length - 2];
+        if (before && last && (before.x === last.x && last.x === p.x || before.y === last.y && last.y === p.y)) kept.pop();
+        kept.push(p);
+    });
+
+    let d = `M ${kept[0].x} ${kept[0].y}`;
+    for (let k = 1; k < kept.length - 1; k++) {
+        const [a, p, b] = [kept[k - 1], kept[k], kept[k + 1]];
+        const lenIn = Math.hypot(p.x - a.x, p.y - a.y);
+        const lenOut = Math.hypot(b.x - p.x, b.y - p.y);
+        const r = Math.min(ROUTE_CORNER_RADIUS, lenIn / 2, lenOut / 2);
+        d += ` L ${p.x - (p.x - a.x) / lenIn * r} ${p.y - (p.y - a.y) / lenIn * r}`;
+        d += ` Q ${p.x} ${p.y} ${p.x + (b.x - p.x) / lenOut * r} ${p.y + (b.y - p.y) / lenOut * r}`;
+    }
+    const end = kept[kept.length - 1];
+    if (kept.length > 1) d += ` L ${end.x} ${end.y}`;
+    return { d, bounds: pointBounds(kept) };
+}
+
+function pointBounds(points) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+}
+
+// Whether a route can be affected by an obstacle at `rect`
+function routeNearObstacle(bounds, rect) {
+    return bounds.left < rect.right + ROUTE_MARGIN && bounds.right > rect.left - ROUTE_MARGIN &&
+        bounds.top < rect.bottom + ROUTE_MARGIN && bounds.bottom > rect.top - ROUTE_MARGIN;
+}
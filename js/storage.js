@@ -0,0 +1,413 @@
+/**
+ * Workflow Editor - Persistence Backends
+ *
+ * Workflow documents (see js/document.js) are written through a pluggable
+ * backend. Every backend exposes the same promise based interface:
+ *
+ *   name
+ *   loadDocument(projectId)       -> document | null
+ *   saveDocument(projectId, doc)  -> resolves once the write is durable
+ *   removeDocument(projectId)
+ *   listDocuments()               -> [projectId]
+ *   saveHistory(projectId, history)
+ *   loadHistory(projectId)        -> history | null
+ *
+ * History ({ revision, index, entries }, see commitHistory in main.js) is only
+ * kept by the IndexedDB backend; localStorage is too small to hold it.
+ *
+ * A stored payload that is not valid JSON makes loadDocument reject with a
+ * CorruptDocumentError carrying the raw text, so it can be quarantined.
+ *
+ * The IndexedDB backend is preferred: buckets and connections are stored as
+ * individual records and only the records that changed since the last write
+ * are put/deleted. localStorage is the fallback when IndexedDB is missing or
+ * cannot be opened (e.g. some private browsing modes).
+ *
+ * The journal (below) is a synchronous localStorage copy of a document whose
+ * write has not been confirmed yet, so a reload mid-write can be recovered.
+ */
+
+const LEGACY_STATE_KEY = 'workflowState';
+const WORKFLOW_DB_NAME = 'workflowEditor';
+const WORKFLOW_DB_VERSION = 2;
+const JOURNAL_KEY_PREFIX = 'workflowJournal';
+const QUARANTINE_KEY_PREFIX = 'workflowQuarantine';
+
+function projectStorageKey(projectId) {
+    return `${LEGACY_STATE_KEY}:${projectId}`;
+}
+
+function isQuotaError(err) {
+    return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+}
+
+function parseStoredDocument(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        const err = new Error(`Stored workflow is not valid JSON: ${e.message}`);
+        err.name = 'CorruptDocumentError';
+        err.raw = raw;
+        throw err;
+    }
+}
+
+// Project IDs with a document in the localStorage slots
+function listLocalStorageDocuments() {
+    const prefix = LEGACY_STATE_KEY + ':';
+    const ids = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(prefix)) ids.push(key.slice(prefix.length));
+    }
+    return ids;
+}
+
+// Keeps an unreadable payload aside so a repair never destroys the only copy.
+// Returns the key it was stored under, or null if there was no room for it.
+function quarantinePayload(projectId, raw) {
+    const key = `${QUARANTINE_KEY_PREFIX}:${projectId}:${Date.now()}`;
+    try {
+        localStorage.setItem(key, raw);
+        return key;
+    } catch (e) {
+        console.warn('Could not quarantine broken workflow data:', e);
+        return null;
+    }
+}
+
+async function openWorkflowStorage() {
+    try {
+        return await createIndexedDBBackend();
+    } catch (e) {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+        return createLocalStorageBackend();
+    }
+}
+
+// --- Write-Ahead Journal ---
+
+function journalKey(projectId) {
+    return `${JOURNAL_KEY_PREFIX}:${projectId}`;
+}
+
+// Best effort: a full localStorage must not block the real write
+function writeJournal(projectId, doc) {
+    try {
+        localStorage.setItem(journalKey(projectId), JSON.stringify(doc));
+        return true;
+    } catch (e) {
+        console.warn('Could not write save journal:', e);
+        return false;
+    }
+}
+
+function readJournal(projectId) {
+    const stored = localStorage.getItem(journalKey(projectId));
+    if (stored === null) return null;
+    try {
+        return JSON.parse(stored);
+    } catch (e) {
+        // A torn journal is useless; the stored document is still consistent
+        localStorage.removeItem(journalKey(projectId));
+        return null;
+    }
+}
+
+// Only clears the journal if nothing newer was journaled in the meantime
+function clearJournal(projectId, revision) {
+    const journal = readJournal(projectId);
+    if (journal && (revision === undefined || (journal.revision || 0) <= revision)) {
+        localStorage.removeItem(journalKey(projectId));
+    }
+}
+
+// --- localStorage Backend ---
+
+function createLocalStorageBackend() {
+    return {
+        name: 'localStorage',
+
+        async loadDocument(projectId) {
+            const stored = localStorage.getItem(projectStorageKey(projectId));
+            return stored === null ? null : parseStoredDocument(stored);
+        },
+
+        async saveDocument(projectId, doc) {
+            // Throws QuotaExceededError when the ~5 MB origin quota is used up
+            localStorage.setItem(projectStorageKey(projectId), JSON.stringify(doc));
+        },
+
+        async removeDocument(projectId) {
+            localStorage.removeItem(projectStorageKey(projectId));
+            clearJournal(projectId);
+        },
+
+        async listDocuments() {
+            return listLocalStorageDocuments();
+        },
+
+        async saveHistory() {},
+
+        async loadHistory() {
+            return null;
+        }
+    };
+}
+
+// --- IndexedDB Backend ---
+//
+// Stores:
+//   meta        { projectId, bucketOrder, connectionOrder, ...other document fields }
+//   buckets     { projectId, id, data }   key [projectId, id]
+//   connections { projectId, id, data }   key [projectId, id]
+//   historyMeta { projectId, revision, index }                    (v2)
+//   history     { projectId, seq, entry }  key [projectId, seq]   (v2)
+
+function createIndexedDBBackend() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(WORKFLOW_DB_NAME, WORKFLOW_DB_VERSION);
+
+        request.onupgradeneeded = (e) => {
+            const db = request.result;
+            if (e.oldVersion < 1) {
+                db.createObjectStore('meta', { keyPath: 'projectId' });
+                ['buckets', 'connections'].forEach(name => {
+                    const store = db.createObjectStore(name, { keyPath: ['projectId', 'id'] });
+                    store.createIndex('projectId', 'projectId');
+                });
+            }
+            if (e.oldVersion < 2) {
+                db.createObjectStore('historyMeta', { keyPath: 'projectId' });
+                db.createObjectStore('history', { keyPath: ['projectId', 'seq'] }).createIndex('projectId', 'projectId');
+            }
+        };
+
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        request.onsuccess = () => resolve(wrapIndexedDB(request.result));
+    });
+}
+
+function wrapIndexedDB(db) {
+    // projectId -> Map(recordKey -> { id, json }) of what is already on disk
+    const written = new Map();
+    // Projects read from the old localStorage slot, removed there once saved here
+    const legacyProjects = new Set();
+    // projectId -> Set(seq) of history entries on disk; entries never change once written
+    const writtenHistory = new Map();
+
+    const STORES = ['meta', 'buckets', 'connections'];
+
+    // Another tab upgrading the database needs this connection closed; the
+    // browser may also close it (e.g. the database was deleted). Every later
+    // call rejects so the caller can switch to localStorage.
+    let closedError = null;
+    const closed = (message) => {
+        closedError = new Error(message);
+        closedError.name = 'InvalidStateError';
+    };
+    db.onversionchange = () => {
+        db.close();
+        closed('The workflow database was closed for an upgrade in another tab.');
+    };
+    db.onclose = () => closed('The workflow database was closed by the browser.');
+    const transaction = (stores, mode) => {
+        if (closedError) throw closedError;
+        return db.transaction(stores, mode);
+    };
+
+    const txDone = (tx) => new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        tx.onerror = () => reject(tx.error);
+    });
+
+    const requestResult = (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    // Everything except the per-record arrays lives in the meta record
+    const metaOf = (doc) => {
+        const { buckets, connections, ...rest } = doc;
+        return {
+            ...rest,
+            bucketOrder: buckets.map(b => b.id),
+            connectionOrder: connections.map(c => c.id)
+        };
+    };
+
+    return {
+        name: 'indexedDB',
+
+        async loadDocument(projectId) {
+            const tx = transaction(STORES, 'readonly');
+            const [meta, bucketRecords, connRecords] = await Promise.all([
+                requestResult(tx.objectStore('meta').get(projectId)),
+                requestResult(tx.objectStore('buckets').index('projectId').getAll(projectId)),
+                requestResult(tx.objectStore('connections').index('projectId').getAll(projectId))
+            ]);
+
+            if (!meta) {
+                // Not migrated yet: read it from localStorage, move it on first save
+                const stored = localStorage.getItem(projectStorageKey(projectId));
+                if (stored === null) return null;
+                legacyProjects.add(projectId);
+                written.delete(projectId);
+                return parseStoredDocument(stored);
+            }
+
+            const { projectId: _, bucketOrder, connectionOrder, ...rest } = meta;
+            const byOrder = (order) => (a, b) => order.indexOf(a.id) - order.indexOf(b.id);
+            bucketRecords.sort(byOrder(bucketOrder));
+            connRecords.sort(byOrder(connectionOrder));
+
+            const doc = {
+                ...rest,
+                buckets: bucketRecords.map(r => r.data),
+                connections: connRecords.map(r => r.data)
+            };
+
+            const cache = new Map();
+            cache.set('meta', { id: projectId, json: JSON.stringify(metaOf(doc)) });
+            doc.buckets.forEach(b => cache.set('b:' + b.id, { id: b.id, json: JSON.stringify(b) }));
+            doc.connections.forEach(c => cache.set('c:' + c.id, { id: c.id, json: JSON.stringify(c) }));
+            written.set(projectId, cache);
+
+            return doc;
+        },
+
+        // Runs synchronously up to its first await, so records are cloned as of
+        // this call, but a transaction that cannot start still only rejects
+        async saveDocument(projectId, doc) {
+            const prev = written.get(projectId) || new Map();
+            const next = new Map();
+
+            const tx = transaction(STORES, 'readwrite');
+            const done = txDone(tx);
+
+            const changed = (key, json) => !prev.has(key) || prev.get(key).json !== json;
+
+            const meta = metaOf(doc);
+            const metaJson = JSON.stringify(meta);
+            next.set('meta', { id: projectId, json: metaJson });
+            if (changed('meta', metaJson)) {
+                tx.objectStore('meta').put({ projectId, ...meta });
+            }
+
+            const putChanged = (storeName, prefix, records) => {
+                const store = tx.objectStore(storeName);
+                records.forEach(record => {
+                    const key = prefix + record.id;
+                    const json = JSON.stringify(record);
+                    next.set(key, { id: record.id, json });
+                    if (changed(key, json)) {
+                        store.put({ projectId, id: record.id, data: record });
+                    }
+                });
+            };
+            putChanged('buckets', 'b:', doc.buckets);
+            putChanged('connections', 'c:', doc.connections);
+
+            // Records that disappeared since the last write
+            prev.forEach((entry, key) => {
+                if (next.has(key)) return;
+                const storeName = key.startsWith('b:') ? 'buckets' : 'connections';
+                tx.objectStore(storeName).delete([projectId, entry.id]);
+            });
+
+            written.set(projectId, next);
+
+            return done.then(() => {
+                if (legacyProjects.delete(projectId)) {
+                    localStorage.removeItem(projectStorageKey(projectId));
+                }
+            }, (err) => {
+                // Unknown on-disk state: the next save rewrites everything
+                written.delete(projectId);
+                throw err;
+            });
+        },
+
+        async removeDocument(projectId) {
+            const tx = transaction([...STORES, 'historyMeta', 'history'], 'readwrite');
+            const done = txDone(tx);
+
+            tx.objectStore('meta').delete(projectId);
+            tx.objectStore('historyMeta').delete(projectId);
+            ['buckets', 'connections', 'history'].forEach(name => {
+                const store = tx.objectStore(name);
+                store.index('projectId').getAllKeys(projectId).onsuccess = (e) => {
+                    e.target.result.forEach(key => store.delete(key));
+                };
+            });
+
+            written.delete(projectId);
+            writtenHistory.delete(projectId);
+            legacyProjects.delete(projectId);
+            localStorage.removeItem(projectStorageKey(projectId));
+            clearJournal(projectId);
+            return done;
+        },
+
+        async listDocuments() {
+            const tx = transaction(['meta'], 'readonly');
+            const ids = await requestResult(tx.objectStore('meta').getAllKeys());
+            // Projects still waiting in localStorage to be moved over
+            listLocalStorageDocuments().forEach(id => {
+                if (!ids.includes(id)) ids.push(id);
+            });
+            return ids;
+        },
+
+        async saveHistory(projectId, history) {
+            const prev = writtenHistory.get(projectId);
+            const next = new Set(history.entries.map(e => e.seq));
+
+            const tx = transaction(['historyMeta', 'history'], 'readwrite');
+            const done = txDone(tx);
+            const store = tx.objectStore('history');
+
+            tx.objectStore('historyMeta').put({ projectId, revision: history.revision, index: history.index });
+            if (prev) {
+                history.entries.forEach(entry => {
+                    if (!prev.has(entry.seq)) store.put({ projectId, seq: entry.seq, entry });
+                });
+                prev.forEach(seq => {
+                    if (!next.has(seq)) store.delete([projectId, seq]);
+                });
+            } else {
+                // Nothing known about what is on disk: replace it all
+                store.index('projectId').getAllKeys(projectId).onsuccess = (e) => {
+                    e.target.result.forEach(key => store.delete(key));
+                    history.entries.forEach(entry => store.put({ projectId, seq: entry.seq, entry }));
+                };
+            }
+
+            writtenHistory.set(projectId, next);
+            return done.catch((err) => {
+                writtenHistory.delete(projectId);
+                throw err;
+            });
+        },
+
+        async loadHistory(projectId) {
+            const tx = transaction(['historyMeta', 'history'], 'readonly');
+            const [meta, records] = await Promise.all([
+                requestResult(tx.objectStore('historyMeta').get(projectId)),
+                requestResult(tx.objectStore('history').index('projectId').getAll(projectId))
+            ]);
+            if (!meta) return null;
+
+            records.sort((a, b) => a.seq - b.seq);
+            writtenHistory.set(projectId, new Set(records.map(r => r.seq)));
+            return { revision: meta.revision, index: meta.index, entries: records.map(r => r.entry) };
+        }
+    };
+}
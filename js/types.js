@@ -0,0 +1,97 @@
+/**
+ * Workflow Editor - Variable Types & Connection Rules
+ *
+ * Variables are triggers (an event fires) or data (a value). Data variables
+ * carry a `dataType`; variables without one (cards saved before types, custom
+ * items left untyped) are 'any':
+ *
+ *   string  number  boolean  object  array  date  any
+ *
+ * A connection runs from a source variable to a target variable on another
+ * card and is valid when both are triggers, or both are data and the target accepts the
+ * source's type (DATA_TYPE_ACCEPTS). 'any' connects both ways, numbers,
+ * booleans and dates are accepted where text is expected, and text where a
+ * date is.
+ */
+
+const VARIABLE_DATA_TYPES = ['string', 'number', 'boolean', 'object', 'array', 'date', 'any'];
+
+// target type -> source types it accepts besides its own and 'any'
+const DATA_TYPE_ACCEPTS = {
+    string: ['number', 'boolean', 'date'],
+    date: ['string']
+};
+
+// The type a variable holds: null for triggers, 'any' when undeclared.
+// Cards only copy what their connector declared when they were dropped, so
+// the connector fills in the type for cards saved before it had one.
+function variableDataType(variable, item) {
+    if (!variable || variable.type === 'trigger') return null;
+    if (VARIABLE_DATA_TYPES.includes(variable.dataType)) return variable.dataType;
+    const connector = item ? getItemConnector(item) : null;
+    const declared = connector ? connector.variables.find(v => v.id === variable.id) : null;
+    return declared && VARIABLE_DATA_TYPES.includes(declared.dataType) ? declared.dataType : 'any';
+}
+
+function dataTypesCompatible(sourceType, targetType) {
+    if (sourceType === 'any' || targetType === 'any' || sourceType === targetType) return true;
+    return (DATA_TYPE_ACCEPTS[targetType] || []).includes(sourceType);
+}
+
+// "Order Total (number)", "New Order (trigger)"
+function describeVariableType(variable, item) {
+    return `${variable.label || variable.id} (${variableDataType(variable, item) || 'trigger'})`;
+}
+
+// The card and variable an endpoint ("bucketId:instanceId:varId") points at, or null
+function resolveEndpoint(doc, endpoint) {
+    const [bucketId, instanceId, varId] = String(endpoint).split(':');
+    const bucket = doc.buckets.find(b => b.id === bucketId);
+    const item = bucket && bucket.items.find(i => i.instanceId === instanceId);
+    const variable = item && (item.variables || []).find(v => v.id === varId);
+    return variable ? { bucket, item, variable } : null;
+}
+
+// Why sourceId -> targetId cannot be connected in the document, or null when it can
+function connectionProblem(doc, sourceId, targetId) {
+    const problem = connectionRuleProblem(doc, sourceId, targetId);
+    if (problem) return problem;
+    if (doc.connections.some(c => c.sourceId === sourceId && c.targetId === targetId)) {
+        const [source, target] = [sourceId, targetId].map(end => resolveEndpoint(doc, end).variable);
+        return `${source.label} is already connected to ${target.label}.`;
+    }
+    return null;
+}
+
+// The rules above without the duplicate check, so they also apply to existing connections
+function connectionRuleProblem(doc, sourceId, targetId) {
+    if (sourceId === targetId) return 'A variable cannot be connected to itself.';
+
+    const source = resolveEndpoint(doc, sourceId);
+    const target = resolveEndpoint(doc, targetId);
+    if (!source || !target) return 'That variable no longer exists.';
+    // js/validation.js would report it as a cycle: a run could loop forever
+    if (source.bucket === target.bucket && source.item === target.item) {
+        return `${source.item.label} cannot be connected to itself; connect it to another card.`;
+    }
+
+    const sourceType = variableDataType(source.variable, source.item);
+    const targetType = variableDataType(target.variable, target.item);
+    const sourceName = describeVariableType(source.variable, source.item);
+    const targetName = describeVariableType(target.variable, target.item);
+
+    if (!sourceType && targetType) {
+        return `${sourceName} is a trigger and can only fire another trigger, not the data variable ${targetName}.`;
+    }
+    if (sourceType && !targetType) {
+        return `${sourceName} is data and cannot fire the trigger ${targetName}; connect it to a data variable.`;
+    }
+    if (sourceType && !dataTypesCompatible(sourceType, targetType)) {
+        return `${targetName} expects ${articleFor(targetType)} ${targetType}, but ${sourceName} holds ${articleFor(sourceType)} ${sourceType}.`;
+    }
+    return null;
+}
+
+function articleFor(word) {
+    return /^[aeiou]/.test(word) ? 'an' : 'a';
+}
@@ -0,0 +1,119 @@
+/**
+ * Workflow Editor - Validation
+ *
+ * Lints a workflow document without touching the DOM. validateWorkflow()
+ * returns every problem found, each tied to the bucket it belongs to:
+ *
+ *   { severity: 'error'|'warning', code, bucketId, instanceIds: [], connectionId?, message }
+ *
+ * Errors break runs: connections to deleted cards or variables
+ * (missing-endpoint), connections the type rules of js/types.js refuse
+ * (invalid-connection, among them a card connected to itself) and cards
+ * feeding back into each other (cycle).
+ * Warnings point at unfinished designs: the same pair connected twice
+ * (duplicate-connection), triggers that fire nothing (unused-trigger) and
+ * data variables that are not connected at all (unmatched-data, the
+ * "Un Matched Data" of the exports).
+ *
+ * `bucketId` is null for a connection that no longer touches any bucket.
+ */
+
+function validateWorkflow(doc) {
+    const problems = [];
+    const add = (severity, code, bucketId, instanceIds, message, connectionId) => {
+        const problem = { severity, code, bucketId, instanceIds, message };
+        if (connectionId !== undefined) problem.connectionId = connectionId;
+        problems.push(problem);
+    };
+
+    const cardName = (endpoint) => {
+        const resolved = resolveEndpoint(doc, endpoint);
+        return resolved ? `"${resolved.variable.label}" on ${resolved.item.label}` : endpoint;
+    };
+
+    // Connections
+    const seenPairs = new Set();
+
+    doc.connections.forEach(conn => {
+        const source = resolveEndpoint(doc, conn.sourceId);
+        const target = resolveEndpoint(doc, conn.targetId);
+
+        if (!source || !target) {
+            const kept = source || target;
+            if (kept) {
+                add('error', 'missing-endpoint', kept.bucket.id, [kept.item.instanceId],
+                    `${cardName(source ? conn.sourceId : conn.targetId)} is connected to a card or variable that was deleted.`, conn.id);
+            } else {
+                // Both cards are gone; the connection still belongs to a bucket that is left
+                const owner = doc.buckets.find(b => [conn.sourceId, conn.targetId].some(end => end.startsWith(`${b.id}:`)));
+                add('error', 'missing-endpoint', owner ? owner.id : null, [],
+                    `Connection ${conn.sourceId} → ${conn.targetId} points at deleted cards.`, conn.id);
+            }
+            return;
+        }
+
+        const instanceIds = [source.item.instanceId];
+        if (target.bucket === source.bucket && target.item !== source.item) instanceIds.push(target.item.instanceId);
+
+        const pair = `${conn.sourceId}>${conn.targetId}`;
+        if (seenPairs.has(pair)) {
+            add('warning', 'duplicate-connection', source.bucket.id, instanceIds,
+                `${cardName(conn.sourceId)} is connected to ${cardName(conn.targetId)} more than once; the value arrives twice.`,
+                conn.id);
+            return;
+        }
+        seenPairs.add(pair);
+
+        const rule = connectionRuleProblem(doc, conn.sourceId, conn.targetId);
+        if (rule) add('error', 'invalid-connection', source.bucket.id, instanceIds, rule, conn.id);
+    });
+
+    const graph = createConnectionGraph(doc.connections);
+    const cardOf = (key) => {
+        const [bucketId, instanceId] = key.split(':');
+        const bucket = doc.buckets.find(b => b.id === bucketId);
+        const item = bucket && bucket.items.find(i => i.instanceId === instanceId);
+        return item ? { bucket, item } : null;
+    };
+
+    // Cycles between cards (deleted cards left out). A card connected to itself
+    // is already an invalid-connection above
+    graph.cycles().map(cycle => cycle.map(cardOf).filter(Boolean)).filter(cycle => cycle.length > 1).forEach(cycle => {
+        const names = listNames(cycle.map(({ item }) => item.label));
+        const buckets = [...new Set(cycle.map(({ bucket }) => bucket))];
+        buckets.forEach(bucket => {
+            const instanceIds = cycle.filter(member => member.bucket === bucket).map(({ item }) => item.instanceId);
+            add('error', 'cycle', bucket.id, instanceIds, `${names} form a cycle; a run can loop forever.`);
+        });
+    });
+
+    // Variables
+    doc.buckets.forEach(bucket => bucket.items.forEach(item => (item.variables || []).forEach(v => {
+        const endpoint = `${bucket.id}:${item.instanceId}:${v.id}`;
+        // Triggers that receive a connection are inputs (Delay's Start), so any connection will do
+        if (graph.isConnected(endpoint)) return;
+        if (v.type === 'trigger') {
+            add('warning', 'unused-trigger', bucket.id, [item.instanceId], `Trigger ${cardName(endpoint)} has no downstream connection.`);
+        } else {
+            add('warning', 'unmatched-data', bucket.id, [item.instanceId], `Data ${cardName(endpoint)} is not connected.`);
+        }
+    })));
+
+    return problems;
+}
+
+// Problem counts per bucket: { bucketId: { error, warning } }
+function countProblemsByBucket(problems) {
+    const counts = {};
+    problems.forEach(problem => {
+        if (!problem.bucketId) return;
+        if (!counts[problem.bucketId]) counts[problem.bucketId] = { error: 0, warning: 0 };
+        counts[problem.bucketId][problem.severity]++;
+    });
+    return counts;
+}
+
+// "A", "A and B", "A, B and C"
+function listNames(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+}
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts([
+    'js/expression.js',
+    'js/types.js',
+    'js/connectors.js',
+    'js/connectors/shopify.js',
+    'js/connectors/condition.js'
+]);
+const getItemConnector = evaluate('getItemConnector');
+
+const connectorOf = (item) => {
+    const connector = getItemConnector(item);
+    return connector && connector.id;
+};
+
+test('cards name their connector, or carry its template id from before the SDK', () => {
+    assert.strictEqual(connectorOf({ instanceId: 'c', connector: 'hub-condition' }), 'hub-condition');
+    assert.strictEqual(connectorOf({ instanceId: 'c', id: 'hub-condition' }), 'hub-condition');
+    assert.strictEqual(connectorOf({ instanceId: 's', id: 'app-shopify' }), 'app-shopify');
+});
+
+test('single-variable cards from the old sidebar are matched by their variable', () => {
+    assert.strictEqual(connectorOf({ instanceId: 'c', id: 'v-cond-input-item' }), 'hub-condition');
+    assert.strictEqual(connectorOf({ instanceId: 's', id: 'v-shop-total-item' }), 'app-shopify');
+});
+
+test('custom items and unknown ids have no connector', () => {
+    assert.strictEqual(connectorOf({ instanceId: 'x', id: 'custom-app-1' }), null);
+    assert.strictEqual(connectorOf({ instanceId: 'x', id: 'v-unknown-item' }), null);
+    assert.strictEqual(connectorOf({ instanceId: 'x', connector: 'app-gone', id: 'v-cond-input-item' }), null);
+    assert.strictEqual(connectorOf(null), null);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextCronTimes, nextScheduleTimes } = require('../js/cron.js');
+
+const iso = (times) => times.map(t => new Date(t).toISOString());
+
+test('daily times follow Europe/Berlin across the spring DST switch', () => {
+    const times = nextCronTimes('0 9 * * *', Date.UTC(2026, 2, 27), 4, 'Europe/Berlin');
+    assert.deepStrictEqual(iso(times), [
+        '2026-03-27T08:00:00.000Z',
+        '2026-03-28T08:00:00.000Z',
+        '2026-03-29T07:00:00.000Z',
+        '2026-03-30T07:00:00.000Z'
+    ]);
+});
+
+test('a wall time skipped by the spring switch lands just after it', () => {
+    const times = nextCronTimes('30 2 * * *', Date.UTC(2026, 2, 28, 12), 2, 'Europe/Berlin');
+    // 02:30 does not exist on 29 March; it fires at 03:30 CEST
+    assert.deepStrictEqual(iso(times), ['2026-03-29T01:30:00.000Z', '2026-03-30T00:30:00.000Z']);
+});
+
+test('a wall time repeated by the autumn switch fires once', () => {
+    const times = nextCronTimes('30 2 * * *', Date.UTC(2026, 9, 24, 12), 2, 'Europe/Berlin');
+    assert.deepStrictEqual(iso(times), ['2026-10-25T01:30:00.000Z', '2026-10-26T01:30:00.000Z']);
+
+    const halfHours = nextCronTimes('*/30 * * * *', Date.UTC(2026, 9, 24, 23, 50), 6, 'Europe/Berlin');
+    assert.strictEqual(new Set(halfHours).size, halfHours.length);
+    assert.ok(halfHours.every((t, i) => i === 0 || t - halfHours[i - 1] === 30 * 60 * 1000));
+});
+
+test('bad cron fields are rejected with a message naming the field', () => {
+    assert.throws(() => parseCron('60 * * * *'), /"60" is not a valid minute \(0-59\)/);
+    assert.throws(() => parseCron('* 24 * * *'), /"24" is not a valid hour \(0-23\)/);
+    assert.throws(() => parseCron('* * 0 * *'), /"0" is not a valid day of month \(1-31\)/);
+    assert.throws(() => parseCron('* * * 13 *'), /"13" is not a valid month \(1-12\)/);
+    assert.throws(() => parseCron('* * * * 8'), /"8" is not a valid day of week \(0-7\)/);
+    assert.throws(() => parseCron('*/0 * * * *'), /not a valid step for the minute/);
+    assert.throws(() => parseCron('5-1 * * * *'), /runs backwards/);
+    assert.throws(() => parseCron('* * *'), /needs 5 fields/);
+});
+
+test('Run At dates outside the calendar are rejected', () => {
+    const once = (runAt) => nextScheduleTimes({ mode: 'once', runAt, timezone: 'UTC' }, 0, 1);
+    ['2026-02-30T09:00', '2026-13-01T09:00', '2026-01-31T24:00', '2026-01-31T09:60', '2026-1-31T09:00'].forEach(runAt => {
+        assert.throws(() => once(runAt), /Run At must look like/, runAt);
+    });
+    assert.deepStrictEqual(iso(once('2028-02-29T09:00')), ['2028-02-29T09:00:00.000Z']);
+});
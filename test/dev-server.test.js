@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { server } = require('../dev-server.js');
+
+let base;
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    base = `127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// Resolves with the status code of a POST to `path`
+function post(path, headers, body = '{}') {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`http://${base}${path}`, { method: 'POST', headers }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+const json = { 'Content-Type': 'application/json' };
+
+test('pages on other origins cannot fire webhooks or post results and schedules', async () => {
+    const foreign = { ...json, Origin: 'https://example.com' };
+    assert.strictEqual(await post('/hooks/b1/i1', foreign), 403);
+    assert.strictEqual(await post('/hooks-results/1', foreign), 403);
+    assert.strictEqual(await post('/schedules/editor-1', foreign), 403);
+    assert.strictEqual(await post('/hooks/b1/i1', { ...json, Origin: 'null' }), 403);
+});
+
+test('the editor\'s own origin and clients without an Origin are let through', async () => {
+    // No editor is connected, so a webhook that gets past the checks finds no one to run it
+    assert.strictEqual(await post('/hooks/b1/i1', { ...json, Origin: `http://${base}` }), 503);
+    assert.strictEqual(await post('/hooks/b1/i1', { 'Content-Type': 'text/plain' }, 'hi'), 503);
+    assert.strictEqual(await post('/hooks-results/1', json), 200);
+    assert.strictEqual(await post('/schedules/editor-1', json), 404);
+});
+
+test('results and schedules must be sent as JSON', async () => {
+    assert.strictEqual(await post('/hooks-results/1', { 'Content-Type': 'text/plain' }), 415);
+    assert.strictEqual(await post('/schedules/editor-1', {}), 415);
+    assert.strictEqual(await post('/hooks-results/1', { 'Content-Type': 'application/json; charset=utf-8' }), 200);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts(['js/document.js']);
+const migrateWorkflowDocument = evaluate('migrateWorkflowDocument');
+const repairWorkflowDocument = evaluate('repairWorkflowDocument');
+const parseWorkflowImport = evaluate('parseWorkflowImport');
+const remapImportedWorkflow = evaluate('remapImportedWorkflow');
+const WORKFLOW_SCHEMA_VERSION = evaluate('WORKFLOW_SCHEMA_VERSION');
+
+// Documents come from the vm context; copy them into plain objects
+const migrate = (data) => JSON.parse(JSON.stringify(migrateWorkflowDocument(data)));
+const repair = (doc) => JSON.parse(JSON.stringify(repairWorkflowDocument(doc)));
+
+const variable = (id, type = 'data') => ({ id, label: id, type });
+const card = (instanceId, ...varIds) => ({ instanceId, id: 'app-shopify', label: instanceId, variables: varIds.map(id => variable(id)) });
+
+test('an unversioned save is upgraded and keeps unknown fields', () => {
+    const doc = migrate({
+        buckets: [{ id: 'b1', label: 'Orders', x: 1, y: 2, items: [{ instanceId: 'i1', id: 'app-shopify' }] }],
+        connections: [],
+        note: 'kept'
+    });
+    assert.strictEqual(doc.schemaVersion, WORKFLOW_SCHEMA_VERSION);
+    assert.deepStrictEqual(doc.buckets[0].items[0].variables, []);
+    assert.deepStrictEqual(doc.customTemplates, []);
+    assert.strictEqual(doc.note, 'kept');
+});
+
+test('export files are unwrapped before migrating', () => {
+    const doc = migrate({ type: 'workflow-export', exportedAt: 'now', workflow: { buckets: [], connections: [] }, summary: [] });
+    assert.deepStrictEqual(doc, { buckets: [], connections: [], schemaVersion: WORKFLOW_SCHEMA_VERSION, customTemplates: [] });
+});
+
+test('a current document passes through unchanged', () => {
+    const current = { schemaVersion: WORKFLOW_SCHEMA_VERSION, buckets: [], connections: [], customTemplates: [] };
+    assert.deepStrictEqual(migrate(current), current);
+});
+
+test('unusable data and unknown versions are refused', () => {
+    assert.throws(() => migrateWorkflowDocument([]), /not a workflow document/);
+    assert.throws(() => migrateWorkflowDocument(null), /not a workflow document/);
+    assert.throws(() => migrateWorkflowDocument({ schemaVersion: -1 }), /Unknown workflow schema version "-1"/);
+    assert.throws(() => migrateWorkflowDocument({ schemaVersion: 'x' }), /Unknown workflow schema version "x"/);
+    assert.throws(() => migrateWorkflowDocument({ schemaVersion: WORKFLOW_SCHEMA_VERSION + 1 }), /saved by a newer version/);
+});
+
+test('a sound document needs no repair', () => {
+    const doc = {
+        schemaVersion: WORKFLOW_SCHEMA_VERSION,
+        buckets: [{ id: 'b1', label: 'Orders', x: 0, y: 0, items: [card('i1', 'out'), card('i2', 'in')] }],
+        connections: [{ id: 1, sourceId: 'b1:i1:out', targetId: 'b1:i2:in' }],
+        customTemplates: []
+    };
+    assert.deepStrictEqual(repair(doc), { doc, problems: [] });
+});
+
+test('repair drops what cannot be used and reports each change', () => {
+    const { doc, problems } = repair({
+        schemaVersion: WORKFLOW_SCHEMA_VERSION,
+        buckets: [
+            { label: 'No id', items: [] },
+            { id: 'b1', label: 'Orders', items: [card('i1', 'out'), 'junk', card('i2', 'in'), { ...card('i2', 'in'), label: 'copy' }] }
+        ],
+        connections: [
+            { id: 1, sourceId: 'b1:i1:out', targetId: 'b1:i2:in', points: [{ x: 'a' }] },
+            { id: 2, sourceId: 'b1:i1:out', targetId: 'b1:gone:in' },
+            { sourceId: 'b1:i1:out' }
+        ],
+        customTemplates: 'broken'
+    });
+
+    assert.deepStrictEqual(doc.buckets.map(b => b.id), ['b1']);
+    assert.deepStrictEqual([doc.buckets[0].x, doc.buckets[0].y], [50, 50]);
+    const ids = doc.buckets[0].items.map(i => i.instanceId);
+    assert.deepStrictEqual(ids.slice(0, 2), ['i1', 'i2']);
+    assert.match(ids[2], /^item-repaired-/);
+    assert.deepStrictEqual(doc.connections, [{ id: 1, sourceId: 'b1:i1:out', targetId: 'b1:i2:in' }]);
+    assert.deepStrictEqual(doc.customTemplates, []);
+    assert.deepStrictEqual(problems, [
+        'Removed bucket #1: it has no ID.',
+        'Bucket "Orders" had no position; it was placed on the canvas.',
+        'Removed item #2 from bucket "Orders": it is not an object.',
+        'Item "copy" in bucket "Orders" had a missing or duplicate instance ID.',
+        'Removed connection #3: it is incomplete.',
+        'Connection 1 had invalid waypoints; they were removed.',
+        'Removed 1 connection(s) pointing at missing items.',
+        'The custom template list was unreadable and has been reset.'
+    ]);
+});
+
+test('unreadable lists are reset', () => {
+    const { doc, problems } = repair({ schemaVersion: WORKFLOW_SCHEMA_VERSION, buckets: {}, connections: null, customTemplates: [] });
+    assert.deepStrictEqual([doc.buckets, doc.connections], [[], []]);
+    assert.deepStrictEqual(problems, [
+        'The bucket list was unreadable and has been reset.',
+        'The connection list was unreadable and has been reset.'
+    ]);
+});
+
+test('two buckets may use the same instance ID', () => {
+    const doc = {
+        schemaVersion: WORKFLOW_SCHEMA_VERSION,
+        buckets: [
+            { id: 'b1', label: 'Orders', x: 0, y: 0, items: [card('i1', 'out')] },
+            { id: 'b2', label: 'Mail', x: 200, y: 0, items: [card('i1', 'in')] }
+        ],
+        connections: [{ id: 1, sourceId: 'b1:i1:out', targetId: 'b2:i1:in' }],
+        customTemplates: []
+    };
+    assert.deepStrictEqual(repair(doc), { doc, problems: [] });
+});
+
+test('connections follow a renamed duplicate that alone has their variable', () => {
+    const { doc, problems } = repair({
+        schemaVersion: WORKFLOW_SCHEMA_VERSION,
+        buckets: [{ id: 'b1', label: 'Orders', x: 0, y: 0, items: [card('i1', 'out'), card('i2', 'in'), card('i2', 'other')] }],
+        connections: [
+            { id: 1, sourceId: 'b1:i1:out', targetId: 'b1:i2:in' },
+            { id: 2, sourceId: 'b1:i1:out', targetId: 'b1:i2:other' }
+        ],
+        customTemplates: []
+    });
+    const copyId = doc.buckets[0].items[2].instanceId;
+    assert.match(copyId, /^item-repaired-/);
+    assert.deepStrictEqual(doc.connections, [
+        { id: 1, sourceId: 'b1:i1:out', targetId: 'b1:i2:in' },
+        { id: 2, sourceId: 'b1:i1:out', targetId: `b1:${copyId}:other` }
+    ]);
+    assert.deepStrictEqual(problems, ['Item "i2" in bucket "Orders" had a missing or duplicate instance ID.']);
+});
+
+// An export of one bucket wiring two cards
+const exportFile = () => ({
+    type: 'workflow-export',
+    exportedAt: 'now',
+    workflow: {
+        schemaVersion: WORKFLOW_SCHEMA_VERSION,
+        buckets: [{ id: 'b1', label: 'Orders', x: 0, y: 0, items: [card('i1', 'out'), card('i2', 'in')] }],
+        connections: [{ id: 1, sourceId: 'b1:i1:out', targetId: 'b1:i2:in' }],
+        customTemplates: []
+    },
+    summary: []
+});
+
+test('merging the same file twice keeps every connection after a reload', () => {
+    let current = { schemaVersion: WORKFLOW_SCHEMA_VERSION, buckets: [], connections: [], customTemplates: [] };
+    for (let n = 0; n < 2; n++) {
+        const merged = remapImportedWorkflow(parseWorkflowImport(exportFile()), current);
+        current = JSON.parse(JSON.stringify({
+            ...current,
+            buckets: current.buckets.concat(merged.buckets),
+            connections: current.connections.concat(merged.connections)
+        }));
+    }
+
+    const [first, second] = current.buckets;
+    assert.notStrictEqual(first.id, second.id);
+    assert.strictEqual(second.x, 230);
+    assert.deepStrictEqual(current.connections.map(c => [c.sourceId, c.targetId]), [
+        ['b1:i1:out', 'b1:i2:in'],
+        [`${second.id}:i1:out`, `${second.id}:i2:in`]
+    ]);
+    assert.notStrictEqual(current.connections[0].id, current.connections[1].id);
+    assert.deepStrictEqual(repair(current), { doc: current, problems: [] });
+});
+
+test('an import repeating an instance ID within a bucket is refused', () => {
+    const file = exportFile();
+    file.workflow.buckets[0].items.push(card('i1', 'again'));
+    assert.throws(() => parseWorkflowImport(file), /Item #3 in bucket "Orders" repeats the instance ID "i1"/);
+});
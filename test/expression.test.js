@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseExpression, evaluateExpression, renderTemplate } = require('../js/expression.js');
+
+const order = { total: 120, id: 7 };
+const input = {
+    order,
+    items: [{ sku: 'A-1', price: 5 }, { sku: 'B-2', price: 12 }],
+    email: 'Ann@Example.com',
+    status: 'paid'
+};
+
+test('the documented examples evaluate', () => {
+    assert.strictEqual(evaluateExpression('$.order.total >= 100 && not empty($.items)', { $: input }), true);
+    assert.strictEqual(evaluateExpression('$.email matches /@example\\.com$/i', { $: input }), true);
+    assert.strictEqual(evaluateExpression('$..sku contains "A-1"  ||  $.status in ["paid", "refunded"]', { $: input }), true);
+    assert.strictEqual(evaluateExpression('length($.items[?(@.price > 10)]) > 0', { $: input }), true);
+    assert.strictEqual(evaluateExpression('length($.items[?(@.price > 20)]) > 0', { $: input }), false);
+});
+
+test('the documented templates render', () => {
+    assert.strictEqual(renderTemplate('Order {{order.id}}: {{fixed(order.total, 2)}}', { order }), 'Order 7: 120.00');
+    // A template that is a single {{ }} keeps the value's type
+    assert.strictEqual(renderTemplate('{{order.total}}', { order }), 120);
+});
+
+test('deep nesting is refused instead of overflowing the stack', () => {
+    assert.throws(() => parseExpression('!'.repeat(20000) + 'true'), /Expression is nested too deeply/);
+    assert.throws(() => parseExpression('-'.repeat(20000) + '1'), /Expression is nested too deeply/);
+    assert.throws(() => parseExpression('('.repeat(20000) + '1' + ')'.repeat(20000)), /Expression is nested too deeply/);
+    assert.strictEqual(evaluateExpression('not not true'), true);
+});
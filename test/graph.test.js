@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts(['js/graph.js']);
+const createConnectionGraph = evaluate('createConnectionGraph');
+
+const link = (id, from, to) => ({ id, sourceId: `b1:${from}:out`, targetId: `b1:${to}:in` });
+
+// a -> b -> c, c -> b (a loop), d wired to itself, e on its own
+const graph = createConnectionGraph([
+    link(1, 'a', 'b'),
+    link(2, 'b', 'c'),
+    link(3, 'c', 'b'),
+    link(4, 'd', 'd')
+]);
+
+test('cycles() finds loops between cards and cards wired to themselves', () => {
+    const cycles = Array.from(graph.cycles(), cycle => [...cycle].sort()).sort();
+    assert.deepStrictEqual(cycles, [['b1:b', 'b1:c'], ['b1:d']]);
+    assert.strictEqual(graph.isCycleConnection(link(3, 'c', 'b')), true);
+    assert.strictEqual(graph.isCycleConnection(link(1, 'a', 'b')), false);
+});
+
+test('cardRanks() ranks a loop after the cards feeding it', () => {
+    const ranks = graph.cardRanks(['b1:a', 'b1:b', 'b1:c', 'b1:d', 'b1:e']);
+    assert.deepStrictEqual(Object.fromEntries(ranks), { 'b1:a': 0, 'b1:d': 0, 'b1:e': 0, 'b1:b': 1, 'b1:c': 1 });
+});
+
+test('cardRanks() of a chain follows the connections', () => {
+    const chain = createConnectionGraph([link(1, 'c', 'b'), link(2, 'b', 'a')]);
+    const ranks = chain.cardRanks(['b1:a', 'b1:b', 'b1:c']);
+    assert.deepStrictEqual(Object.fromEntries(ranks), { 'b1:c': 0, 'b1:b': 1, 'b1:a': 2 });
+    assert.deepStrictEqual([...chain.topologicalOrder(['b1:a', 'b1:b', 'b1:c'])], ['b1:c', 'b1:b', 'b1:a']);
+});
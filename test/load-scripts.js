@@ -0,0 +1,38 @@
+/**
+ * Loads editor scripts (js/...) the way index.html does: as classic scripts
+ * sharing one global scope, here a fresh vm context per call. Returns a
+ * function that evaluates an expression in that scope, so tests can reach
+ * the scripts' top-level functions and constants.
+ *
+ * `globals` stands in for the browser APIs a script needs (localStorage, ...).
+ *
+ * Run the tests with: node --test test/*.test.js
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, ...globals });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return (source) => vm.runInContext(source, context);
+}
+
+// In-memory stand-in for window.localStorage
+function createMemoryStorage() {
+    const data = new Map();
+    return {
+        get length() { return data.size; },
+        key: (i) => [...data.keys()][i] ?? null,
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => { data.set(key, String(value)); },
+        removeItem: (key) => { data.delete(key); },
+        clear: () => data.clear()
+    };
+}
+
+module.exports = { loadScripts, createMemoryStorage };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts(['js/routing.js']);
+const routeConnection = evaluate('routeConnection');
+const elbowPoints = evaluate('elbowPoints');
+const avoidingPoints = evaluate('avoidingPoints');
+const routeNearObstacle = evaluate('routeNearObstacle');
+
+// Points come from the vm context; copy them into plain objects
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// Whether the segment a-b (horizontal or vertical) passes through rect
+function crosses(a, b, rect) {
+    const left = Math.min(a.x, b.x);
+    const right = Math.max(a.x, b.x);
+    const top = Math.min(a.y, b.y);
+    const bottom = Math.max(a.y, b.y);
+    return left < rect.right && right > rect.left && top < rect.bottom && bottom > rect.top;
+}
+
+test('a straight route is one line with its bounds', () => {
+    assert.deepStrictEqual(copy(routeConnection('straight', { x: 0, y: 0 }, { x: 100, y: 40 })), {
+        d: 'M 0 0 L 100 40',
+        bounds: { left: 0, top: 0, right: 100, bottom: 40 }
+    });
+});
+
+test('elbows turn halfway across, or go round the back of the source', () => {
+    assert.deepStrictEqual(copy(elbowPoints({ x: 0, y: 0 }, { x: 100, y: 40 })), [
+        { x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 40 }, { x: 100, y: 40 }
+    ]);
+    assert.deepStrictEqual(copy(elbowPoints({ x: 100, y: 0 }, { x: 0, y: 40 })), [
+        { x: 100, y: 0 }, { x: 124, y: 0 }, { x: 124, y: 20 }, { x: -24, y: 20 }, { x: -24, y: 40 }, { x: 0, y: 40 }
+    ]);
+});
+
+test('an avoiding route keeps clear of the cards between its ends', () => {
+    const card = { left: 100, top: -50, right: 200, bottom: 50 };
+    const points = copy(avoidingPoints({ x: 0, y: 0 }, { x: 300, y: 0 }, [card]));
+    assert.deepStrictEqual(points[0], { x: 0, y: 0 });
+    assert.deepStrictEqual(points[points.length - 1], { x: 300, y: 0 });
+    const clearance = { left: card.left - 16, top: card.top - 16, right: card.right + 16, bottom: card.bottom + 16 };
+    for (let k = 1; k < points.length; k++) {
+        const [a, b] = [points[k - 1], points[k]];
+        assert.ok(a.x === b.x || a.y === b.y, 'segments are horizontal or vertical');
+        assert.ok(!crosses(a, b, clearance), `segment ${k} stays clear of the card`);
+    }
+});
+
+test('an end walled in by cards falls back to elbows', () => {
+    const wall = { left: 10, top: -100, right: 40, bottom: 100 };
+    assert.strictEqual(avoidingPoints({ x: 0, y: 0 }, { x: 300, y: 0 }, [wall]), null);
+    assert.deepStrictEqual(copy(routeConnection('avoid', { x: 0, y: 0 }, { x: 300, y: 0 }, [wall])),
+        copy(routeConnection('orthogonal', { x: 0, y: 0 }, { x: 300, y: 0 })));
+});
+
+test('only obstacles near a route can affect it', () => {
+    const bounds = { left: 0, top: 0, right: 100, bottom: 40 };
+    assert.strictEqual(routeNearObstacle(bounds, { left: 110, top: 0, right: 200, bottom: 40 }), true);
+    assert.strictEqual(routeNearObstacle(bounds, { left: 150, top: 0, right: 200, bottom: 40 }), false);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createMemoryStorage } = require('./load-scripts');
+
+const localStorage = createMemoryStorage();
+const quiet = { ...console, warn() {} };
+const evaluate = loadScripts(['js/storage.js'], { localStorage, console: quiet });
+
+test('without IndexedDB the localStorage backend is used', async () => {
+    const storage = await evaluate('openWorkflowStorage()');
+    assert.strictEqual(storage.name, 'localStorage');
+});
+
+test('the localStorage backend saves, loads and removes documents per project', async () => {
+    const storage = evaluate('createLocalStorageBackend()');
+    const doc = { schemaVersion: 1, buckets: [{ id: 'b1', items: [] }], connections: [], customTemplates: [] };
+
+    await storage.saveDocument('p1', doc);
+    assert.strictEqual(localStorage.getItem('workflowState:p1'), JSON.stringify(doc));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(await storage.loadDocument('p1'))), doc);
+    assert.strictEqual(await storage.loadDocument('p2'), null);
+
+    await storage.removeDocument('p1');
+    assert.strictEqual(await storage.loadDocument('p1'), null);
+});
+
+test('quota errors are recognised across browsers', () => {
+    const isQuotaError = evaluate('isQuotaError');
+    assert.strictEqual(isQuotaError({ name: 'QuotaExceededError' }), true);
+    assert.strictEqual(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' }), true);
+    assert.strictEqual(isQuotaError({ code: 22 }), true);
+    assert.strictEqual(isQuotaError(new Error('disk on fire')), false);
+    assert.strictEqual(isQuotaError(null), false);
+});
+
+// Stand-in for an open IDBDatabase whose transactions cannot start
+function createBrokenDatabase() {
+    return {
+        closed: false,
+        close() { this.closed = true; },
+        transaction() {
+            const err = new Error('The database connection is closing.');
+            err.name = 'InvalidStateError';
+            throw err;
+        }
+    };
+}
+
+test('IndexedDB writes that cannot start reject instead of throwing', async () => {
+    const storage = evaluate('wrapIndexedDB')(createBrokenDatabase());
+    const doc = { schemaVersion: 1, buckets: [], connections: [], customTemplates: [] };
+
+    const saving = storage.saveDocument('p1', doc);
+    assert.ok(saving instanceof evaluate('Promise'));
+    await assert.rejects(saving, { name: 'InvalidStateError' });
+    await assert.rejects(storage.saveHistory('p1', { revision: 1, index: 0, entries: [] }), { name: 'InvalidStateError' });
+});
+
+test('the IndexedDB connection is closed for another tab\'s upgrade and then refuses work', async () => {
+    const db = { ...createBrokenDatabase(), transaction() { throw new Error('should not be reached'); } };
+    const storage = evaluate('wrapIndexedDB')(db);
+
+    db.onversionchange();
+    assert.strictEqual(db.closed, true);
+    await assert.rejects(storage.loadDocument('p1'), /closed for an upgrade in another tab/);
+    await assert.rejects(storage.saveDocument('p1', { buckets: [], connections: [] }), /closed for an upgrade in another tab/);
+});
+
+test('a connection the browser closed refuses work', async () => {
+    const db = { ...createBrokenDatabase(), transaction() { throw new Error('should not be reached'); } };
+    const storage = evaluate('wrapIndexedDB')(db);
+
+    db.onclose();
+    await assert.rejects(storage.listDocuments(), /closed by the browser/);
+});
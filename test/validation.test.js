@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const evaluate = loadScripts(['js/types.js', 'js/connectors.js', 'js/graph.js', 'js/validation.js']);
+const validateWorkflow = evaluate('validateWorkflow');
+const countProblemsByBucket = evaluate('countProblemsByBucket');
+
+// Problems come from the vm context; copy them into plain objects
+const validate = (doc) => JSON.parse(JSON.stringify(validateWorkflow(doc)));
+const summary = (problems) => problems.map(p => `${p.severity} ${p.code} ${p.connectionId || ''}`.trim()).sort();
+
+const data = (id, dataType) => ({ id, label: id, type: 'data', dataType });
+const trigger = (id) => ({ id, label: id, type: 'trigger' });
+
+// Shop pays into Mail; `more` adds cards, `connections` wires them
+function workflow(connections, more = []) {
+    return {
+        buckets: [{
+            id: 'b1',
+            label: 'Orders',
+            items: [
+                { instanceId: 'shop', label: 'Shop', variables: [trigger('paid'), data('total', 'number')] },
+                { instanceId: 'mail', label: 'Mail', variables: [trigger('send'), data('amount', 'number')] },
+                ...more
+            ]
+        }],
+        connections
+    };
+}
+
+const sound = [
+    { id: 1, sourceId: 'b1:shop:paid', targetId: 'b1:mail:send' },
+    { id: 2, sourceId: 'b1:shop:total', targetId: 'b1:mail:amount' }
+];
+
+test('a finished design has no problems', () => {
+    assert.deepStrictEqual(validate(workflow(sound)), []);
+});
+
+test('broken connections are errors, duplicates a warning', () => {
+    const problems = validate(workflow([
+        ...sound,
+        { id: 3, sourceId: 'b1:shop:total', targetId: 'b1:mail:amount' },
+        { id: 4, sourceId: 'b1:shop:paid', targetId: 'b1:gone:in' },
+        { id: 5, sourceId: 'b1:shop:total', targetId: 'b1:mail:send' }
+    ]));
+    assert.deepStrictEqual(summary(problems), [
+        'error invalid-connection 5',
+        'error missing-endpoint 4',
+        'warning duplicate-connection 3'
+    ]);
+    const invalid = problems.find(p => p.code === 'invalid-connection');
+    assert.strictEqual(invalid.message, 'total (number) is data and cannot fire the trigger send (trigger); connect it to a data variable.');
+    assert.deepStrictEqual(invalid.instanceIds, ['shop', 'mail']);
+});
+
+test('incompatible data types are refused', () => {
+    const problems = validate(workflow([
+        { id: 1, sourceId: 'b1:shop:paid', targetId: 'b1:mail:send' },
+        { id: 2, sourceId: 'b1:shop:total', targetId: 'b1:flags:vip' }
+    ], [{ instanceId: 'flags', label: 'Flags', variables: [data('vip', 'boolean')] }]));
+    assert.deepStrictEqual(summary(problems), ['error invalid-connection 2', 'warning unmatched-data']);
+    assert.strictEqual(problems.find(p => p.code === 'invalid-connection').message,
+        'vip (boolean) expects a boolean, but total (number) holds a number.');
+});
+
+test('cards feeding back into each other form a cycle', () => {
+    const problems = validate(workflow([...sound, { id: 3, sourceId: 'b1:mail:send', targetId: 'b1:shop:paid' }]));
+    assert.deepStrictEqual(summary(problems), ['error cycle']);
+    assert.strictEqual(problems[0].message, 'Shop and Mail form a cycle; a run can loop forever.');
+    assert.deepStrictEqual(problems[0].instanceIds.sort(), ['mail', 'shop']);
+});
+
+test('a card connected to itself is an invalid connection, not a cycle', () => {
+    const calc = { instanceId: 'calc', label: 'Calc', variables: [data('in', 'number'), data('out', 'number')] };
+    const problems = validate(workflow([...sound, { id: 3, sourceId: 'b1:calc:out', targetId: 'b1:calc:in' }], [calc]));
+    assert.deepStrictEqual(summary(problems), ['error invalid-connection 3']);
+    assert.strictEqual(problems[0].message, 'Calc cannot be connected to itself; connect it to another card.');
+    assert.deepStrictEqual(problems[0].instanceIds, ['calc']);
+});
+
+test('loose ends are warnings and counted per bucket', () => {
+    const problems = validate(workflow([sound[0]]));
+    assert.deepStrictEqual(summary(problems), ['warning unmatched-data', 'warning unmatched-data']);
+
+    const unused = validate(workflow([sound[1]])).filter(p => p.code === 'unused-trigger');
+    assert.deepStrictEqual(unused.map(p => p.message), [
+        'Trigger "paid" on Shop has no downstream connection.',
+        'Trigger "send" on Mail has no downstream connection.'
+    ]);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(countProblemsByBucket(problems))), { b1: { error: 0, warning: 2 } });
+});